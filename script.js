@@ -38,937 +38,5960 @@ const utils = {
         );
     },
 
-    // Smooth scroll to element
+    // Smooth scroll to element; measured against the page, so nested elements
+    // (timeline entries, project cards) land in the right place too
     scrollToElement: function(element, offset = 0) {
-        const elementPosition = element.offsetTop - offset;
+        const elementPosition = element.getBoundingClientRect().top + window.scrollY - offset;
         window.scrollTo({
             top: elementPosition,
-            behavior: 'smooth'
+            behavior: motionPreference.isReduced() ? 'auto' : 'smooth'
         });
+    },
+
+    // Read a CSS custom property from the active theme
+    cssVar: function(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    },
+
+    // Escape text for safe interpolation into HTML templates
+    escapeHTML: function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Copy text to the clipboard; resolves to false if the browser refused
+    copyText: async function(text) {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (error) {
+            // Permission denied or the document lost focus - try the fallback
+        }
+
+        const active = document.activeElement;
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            copied = false;
+        }
+
+        textarea.remove();
+        if (active && active.focus) active.focus();
+        return copied;
+    },
+
+    // Deterministic pseudo-random generator (mulberry32); returns floats in [0, 1)
+    seededRandom: function(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Fuzzy match: every character of the query must appear in order in the text.
+    // Returns { score, indices } (higher scores for runs of consecutive characters
+    // and matches at word starts) or null when the text doesn't match.
+    fuzzyMatch: function(query, text) {
+        const needle = String(query).toLowerCase().replace(/\s+/g, '');
+        const haystack = String(text).toLowerCase();
+        if (!needle) return { score: 0, indices: [] };
+
+        const indices = [];
+        let score = 0;
+        let from = 0;
+
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            score += 1;
+            if (index === indices[indices.length - 1] + 1) score += 5;
+            if (index === 0 || /[\s\-_/(.,]/.test(haystack[index - 1])) score += 3;
+
+            indices.push(index);
+            from = index + 1;
+        }
+
+        // Prefer matches that start early in shorter texts
+        score -= indices[0] * 0.1 + haystack.length * 0.01;
+        return { score, indices };
+    },
+
+    // Parse "Jan 2024 - Aug 2025" or "Jun 2016 - Present" into { start, end }
+    // (end is null for an ongoing range); returns null if the text doesn't match
+    parseMonthRange: function(text) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const parseMonth = (value) => {
+            const match = /^([a-z]+)\.?\s+(\d{4})$/i.exec(value.trim());
+            if (!match) return null;
+            const month = months.indexOf(match[1].slice(0, 3).toLowerCase());
+            return month === -1 ? null : new Date(Number(match[2]), month, 1);
+        };
+
+        const parts = String(text).split(/\s+[-–—]\s+/);
+        if (parts.length !== 2) return null;
+
+        const start = parseMonth(parts[0]);
+        const ongoing = /^(present|current|now)$/i.test(parts[1].trim());
+        const end = ongoing ? null : parseMonth(parts[1]);
+        if (!start || (!ongoing && !end)) return null;
+
+        return { start, end };
     }
 };
 
-// Navigation Functionality
-class Navigation {
+// Motion Preference Service
+// Single source of truth for reduced motion: the OS setting, unless the visitor
+// has overridden it with the footer toggle. Controllers read isReduced() and
+// listen for the "motionchange" event on document.
+class MotionPreference {
     constructor() {
-        this.navbar = document.getElementById('navbar');
-        this.navToggle = document.getElementById('nav-toggle');
-        this.navMenu = document.getElementById('nav-menu');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.sections = document.querySelectorAll('section[id]');
-        
+        this.storageKey = 'reduceMotion';
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.override = this.readOverride();
         this.init();
     }
 
     init() {
-        this.bindEvents();
-        this.handleScroll();
+        this.reduced = this.resolve();
+        this.applyAttribute();
+
+        if (!this.mediaQuery) return;
+
+        const onChange = () => this.update();
+        // Safari < 14 only supports the deprecated addListener
+        if (this.mediaQuery.addEventListener) {
+            this.mediaQuery.addEventListener('change', onChange);
+        } else if (this.mediaQuery.addListener) {
+            this.mediaQuery.addListener(onChange);
+        }
     }
 
-    bindEvents() {
-        // Mobile menu toggle
-        if (this.navToggle) {
-            this.navToggle.addEventListener('click', () => this.toggleMobileMenu());
+    readOverride() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored === 'reduce' || stored === 'no-preference' ? stored : null;
+        } catch (error) {
+            return null;
         }
+    }
 
-        // Smooth scroll for navigation links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => this.handleNavClick(e));
-        });
+    resolve() {
+        if (this.override) return this.override === 'reduce';
+        return Boolean(this.mediaQuery && this.mediaQuery.matches);
+    }
 
-        // Handle scroll events
-        window.addEventListener('scroll', utils.throttle(() => this.handleScroll(), 10));
+    isReduced() {
+        return this.reduced;
+    }
 
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => this.handleOutsideClick(e));
+    applyAttribute() {
+        document.documentElement.toggleAttribute('data-reduced-motion', this.reduced);
     }
 
-    toggleMobileMenu() {
-        this.navToggle.classList.toggle('active');
-        this.navMenu.classList.toggle('active');
+    update() {
+        const reduced = this.resolve();
+        if (reduced === this.reduced) return;
+
+        this.reduced = reduced;
+        this.applyAttribute();
+        this.updateToggle();
+        document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
     }
 
-    handleNavClick(e) {
-        e.preventDefault();
-        const targetId = e.target.getAttribute('href');
-        const targetSection = document.querySelector(targetId);
-        
-        if (targetSection) {
-            utils.scrollToElement(targetSection, 80);
-            
-            // Close mobile menu after clicking
-            this.navToggle.classList.remove('active');
-            this.navMenu.classList.remove('active');
+    setReduced(reduced) {
+        this.override = reduced ? 'reduce' : 'no-preference';
+        try {
+            localStorage.setItem(this.storageKey, this.override);
+        } catch (error) {
+            // Storage blocked (e.g. private mode): the override holds until the page reloads
         }
+        this.update();
     }
 
-    handleScroll() {
-        const scrollY = window.scrollY;
-        
-        // Add/remove navbar background on scroll
-        if (scrollY > 50) {
-            this.navbar.style.background = 'rgba(10, 10, 10, 0.98)';
-        } else {
-            this.navbar.style.background = 'rgba(10, 10, 10, 0.95)';
-        }
+    createToggle() {
+        const container = document.querySelector('.footer-content');
+        if (!container || this.toggle) return;
 
-        // Update active navigation link
-        this.updateActiveSection();
-    }
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'motion-toggle';
+        toggle.addEventListener('click', () => this.setReduced(!this.reduced));
+        container.appendChild(toggle);
 
-    updateActiveSection() {
-        const scrollY = window.scrollY + 100;
-        
-        this.sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionId = section.getAttribute('id');
-            const navLink = document.querySelector(`a[href="#${sectionId}"]`);
-            
-            if (scrollY >= sectionTop && scrollY < sectionTop + sectionHeight) {
-                this.navLinks.forEach(link => link.classList.remove('active'));
-                if (navLink) navLink.classList.add('active');
-            }
-        });
+        this.toggle = toggle;
+        this.updateToggle();
     }
 
-    handleOutsideClick(e) {
-        if (!this.navToggle.contains(e.target) && !this.navMenu.contains(e.target)) {
-            this.navToggle.classList.remove('active');
-            this.navMenu.classList.remove('active');
-        }
+    updateToggle() {
+        if (!this.toggle) return;
+        this.toggle.setAttribute('aria-pressed', String(this.reduced));
+        this.toggle.innerHTML = `<i class="fas ${this.reduced ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i> <span data-i18n="motion.reduce">${utils.escapeHTML(i18n.t('motion.reduce'))}</span>`;
     }
 }
 
-// Animation System
-class AnimationController {
-    constructor() {
-        this.observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
-        
-        this.init();
+const motionPreference = new MotionPreference();
+
+// Internationalization
+// UI strings live in locales/<locale>.json as nested catalogs and are looked up
+// by dotted key with t(). Markup opts in with data attributes, which translate()
+// fills in whenever the locale changes:
+//   data-i18n="nav.home"                        text content
+//   data-i18n-attr="aria-label:nav.toggleMenu"  attributes (comma-separated)
+//   data-i18n-params='{"count": 3}'             values for {placeholders}
+//   data-i18n-number="20" data-suffix="+"       a locale-formatted number
+//   data-i18n-range="Jan 2024 - Present"        a locale-formatted month range
+// Keys missing from a catalog fall back to English with a console warning.
+// Components listen for the "localechange" event on document.
+class I18n {
+    constructor({ locales = ['en', 'es', 'ar'], fallback = 'en', path = 'locales' } = {}) {
+        this.locales = locales;
+        this.fallback = fallback;
+        this.path = path;
+        this.rtlLocales = ['ar', 'fa', 'he', 'ur'];
+        this.storageKey = 'locale';
+        this.catalogs = {};
+        this.formatters = new Map();
+        this.warned = new Set();
+        this.locale = fallback;
     }
 
-    init() {
-        this.setupAOS();
-        this.setupSkillBars();
-        this.setupCounters();
-        this.setupTypewriter();
+    // Saved choice first, then the browser's preferred languages
+    detect() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (this.locales.includes(stored)) return stored;
+        } catch (error) {
+            // Storage unavailable - go by the browser
+        }
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        const match = preferred
+            .filter(Boolean)
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(language => this.locales.includes(language));
+
+        return match || this.fallback;
     }
 
-    setupAOS() {
-        // Initialize AOS (Animate On Scroll)
-        if (typeof AOS !== 'undefined') {
-            AOS.init({
-                duration: 1000,
-                easing: 'ease-in-out',
-                once: true,
-                offset: 100
-            });
+    async loadCatalog(locale) {
+        if (this.catalogs[locale]) return this.catalogs[locale];
+
+        const response = await fetch(`${this.path}/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
+        this.catalogs[locale] = await response.json();
+        return this.catalogs[locale];
     }
 
-    setupSkillBars() {
-        const skillBars = document.querySelectorAll('.skill-progress');
-        const skillObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const progressBar = entry.target;
-                    const progress = progressBar.getAttribute('data-progress');
-                    
-                    setTimeout(() => {
-                        progressBar.style.width = progress + '%';
-                    }, 200);
-                }
-            });
-        }, this.observerOptions);
+    async load(locale = this.detect()) {
+        try {
+            await this.loadCatalog(this.fallback);
+        } catch (error) {
+            console.error(`I18n: failed to load the ${this.fallback} catalog:`, error);
+        }
+        await this.setLocale(locale, { persist: false });
+        return this;
+    }
 
-        skillBars.forEach(bar => {
-            bar.style.width = '0%';
-            skillObserver.observe(bar);
-        });
+    async setLocale(locale, { persist = true } = {}) {
+        if (!this.locales.includes(locale)) locale = this.fallback;
+
+        try {
+            await this.loadCatalog(locale);
+        } catch (error) {
+            console.error(`I18n: failed to load the ${locale} catalog:`, error);
+            locale = this.fallback;
+        }
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.storageKey, locale);
+            } catch (error) {
+                // Not remembered; the next visit detects the language again
+            }
+        }
+
+        this.locale = locale;
+        this.apply();
     }
 
-    setupCounters() {
-        const counters = document.querySelectorAll('.stat-number');
-        const counterObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateCounter(entry.target);
-                }
-            });
-        }, this.observerOptions);
+    get dir() {
+        return this.rtlLocales.includes(this.locale) ? 'rtl' : 'ltr';
+    }
 
-        counters.forEach(counter => counterObserver.observe(counter));
+    apply() {
+        const root = document.documentElement;
+        root.lang = this.locale;
+        root.dir = this.dir;
+        this.translate(document);
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: this.locale, dir: this.dir } }));
     }
 
-    animateCounter(element) {
-        const text = element.textContent;
-        const number = parseInt(text.replace(/[^\d]/g, ''));
-        const suffix = text.replace(/[\d]/g, '');
-        const duration = 2000;
-        const startTime = performance.now();
+    lookup(catalog, key) {
+        return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+    }
 
-        const updateCounter = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Easing function
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            const currentNumber = Math.floor(number * easeOutQuart);
-            
-            element.textContent = currentNumber + suffix;
-            
-            if (progress < 1) {
-                requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = text; // Ensure final value is exact
+    t(key, params = {}) {
+        let message = this.lookup(this.catalogs[this.locale], key);
+        let locale = this.locale;
+
+        if (message === undefined && this.locale !== this.fallback) {
+            const warning = `${this.locale}:${key}`;
+            if (!this.warned.has(warning)) {
+                this.warned.add(warning);
+                console.warn(`I18n: missing "${key}" in ${this.locale}, using ${this.fallback}`);
             }
-        };
+            message = this.lookup(this.catalogs[this.fallback], key);
+            locale = this.fallback;
+        }
 
-        requestAnimationFrame(updateCounter);
+        if (message === undefined) return key;
+
+        // Plural forms are objects keyed by Intl.PluralRules category of params.count
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(locale).select(Number(params.count));
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) return placeholder;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : params[name];
+        });
     }
 
-    setupTypewriter() {
-        const typewriterElement = document.querySelector('.hero-subtitle');
-        if (typewriterElement) {
-            const text = typewriterElement.textContent;
-            typewriterElement.textContent = '';
-            
-            let i = 0;
-            const typeWriter = () => {
-                if (i < text.length) {
-                    typewriterElement.textContent += text.charAt(i);
-                    i++;
-                    setTimeout(typeWriter, 100);
-                }
-            };
-            
-            setTimeout(typeWriter, 1000);
+    formatNumber(value, options = {}) {
+        const cacheKey = `${this.locale}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.NumberFormat(this.locale, options));
         }
+        return this.formatters.get(cacheKey).format(value);
     }
-}
 
-// Chart Visualizations
-class ChartController {
-    constructor() {
-        this.charts = {};
-        this.init();
+    formatDate(date, options = { month: 'short', year: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
     }
 
-    init() {
-        this.createHeroChart();
+    // "Jan 2024 - Present" in the current locale; text that isn't a range is kept as is
+    formatRange(text) {
+        const range = utils.parseMonthRange(text);
+        if (!range) return text;
+
+        const end = range.end ? this.formatDate(range.end) : this.t('experience.present');
+        return `${this.formatDate(range.start)} – ${end}`;
     }
 
-    createHeroChart() {
-        const ctx = document.getElementById('heroChart');
-        if (!ctx || typeof Chart === 'undefined') return;
+    parseParams(element) {
+        if (!element.dataset.i18nParams) return {};
+        try {
+            return JSON.parse(element.dataset.i18nParams);
+        } catch (error) {
+            console.error('I18n: invalid data-i18n-params on', element, error);
+            return {};
+        }
+    }
 
-        // Create gradient
-        const gradient = ctx.getContext('2d').createLinearGradient(0, 0, 0, 300);
-        gradient.addColorStop(0, 'rgba(0, 212, 255, 0.8)');
-        gradient.addColorStop(1, 'rgba(78, 205, 196, 0.1)');
+    translate(root = document) {
+        const selector = '[data-i18n], [data-i18n-attr], [data-i18n-number], [data-i18n-range]';
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) elements.unshift(root);
 
-        const config = {
-            type: 'line',
-            data: {
-                labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-                datasets: [{
-                    label: 'Data Processing (TB)',
-                    data: [2.1, 2.8, 3.2, 4.1, 4.8, 5.2, 6.1, 6.8, 7.2, 8.1, 8.8, 9.2],
-                    backgroundColor: gradient,
-                    borderColor: '#00d4ff',
-                    borderWidth: 3,
-                    fill: true,
-                    tension: 0.4,
-                    pointBackgroundColor: '#00d4ff',
-                    pointBorderColor: '#ffffff',
-                    pointBorderWidth: 2,
-                    pointRadius: 6,
-                    pointHoverRadius: 8,
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        backgroundColor: 'rgba(26, 26, 26, 0.9)',
-                        titleColor: '#ffffff',
-                        bodyColor: '#b3b3b3',
-                        borderColor: '#00d4ff',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        displayColors: false,
-                        callbacks: {
-                            title: function(context) {
-                                return `Month: ${context[0].label}`;
-                            },
-                            label: function(context) {
-                                return `${context.parsed.y} TB processed`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        grid: {
-                            color: 'rgba(51, 51, 51, 0.3)',
-                            borderColor: 'rgba(51, 51, 51, 0.5)'
-                        },
-                        ticks: {
-                            color: '#b3b3b3',
-                            font: {
-                                family: 'Inter',
-                                size: 11
-                            }
-                        }
-                    },
-                    y: {
-                        grid: {
-                            color: 'rgba(51, 51, 51, 0.3)',
-                            borderColor: 'rgba(51, 51, 51, 0.5)'
-                        },
-                        ticks: {
-                            color: '#b3b3b3',
-                            font: {
-                                family: 'Inter',
-                                size: 11
-                            },
-                            callback: function(value) {
-                                return value + ' TB';
-                            }
-                        }
-                    }
-                },
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
-                },
-                animation: {
-                    duration: 2000,
-                    easing: 'easeInOutQuart'
-                }
+        elements.forEach(element => {
+            const { i18n: key, i18nAttr, i18nNumber, i18nRange } = element.dataset;
+            const params = this.parseParams(element);
+
+            if (key) {
+                element.textContent = this.t(key, params);
+            } else if (i18nNumber !== undefined) {
+                element.textContent = this.formatNumber(Number(i18nNumber)) + (element.dataset.suffix || '');
+            } else if (i18nRange !== undefined) {
+                element.textContent = this.formatRange(i18nRange);
             }
-        };
 
-        this.charts.heroChart = new Chart(ctx, config);
+            if (i18nAttr) {
+                i18nAttr.split(',').forEach(pair => {
+                    const [attribute, attributeKey] = pair.split(':').map(part => part.trim());
+                    if (attribute && attributeKey) element.setAttribute(attribute, this.t(attributeKey, params));
+                });
+            }
+        });
+    }
+
+    // Mark an element as translated text and fill it in now
+    bind(element, key, params) {
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.t(key, params);
+        return element;
     }
 }
 
-// Form Handling
-class FormController {
+const i18n = new I18n();
+
+// App Kernel
+// Controllers are registered with the kernel rather than constructed directly.
+// A registration can be limited to a media query (e.g. GearSystem on wide
+// screens); the kernel starts and destroys it as the query starts or stops
+// matching. The kernel also carries app events such as "section:change".
+class AppKernel {
     constructor() {
-        this.contactForm = document.querySelector('.contact-form');
-        this.init();
+        this.registry = new Map();
+        this.events = new EventTarget();
+        this.started = false;
     }
 
-    init() {
-        if (this.contactForm) {
-            this.bindEvents();
-            this.setupFloatingLabels();
-        }
+    // create() returns the component; options.media limits it to a media query
+    register(name, create, { media = null } = {}) {
+        const entry = { name, create, media, query: null, onChange: null, instance: null };
+        this.registry.set(name, entry);
+        if (this.started) this.activate(entry);
+        return this;
     }
 
-    bindEvents() {
-        this.contactForm.addEventListener('submit', (e) => this.handleSubmit(e));
+    start() {
+        this.started = true;
+        this.registry.forEach(entry => this.activate(entry));
+        return this;
     }
 
-    setupFloatingLabels() {
-        const formGroups = this.contactForm.querySelectorAll('.form-group');
-        
-        formGroups.forEach(group => {
-            const input = group.querySelector('input, textarea');
-            const label = group.querySelector('label');
-            
-            if (input && label) {
-                // Check if input has value on load
-                if (input.value.trim() !== '') {
-                    label.style.transform = 'translateY(-20px)';
-                    label.style.fontSize = '0.875rem';
-                    label.style.color = '#00d4ff';
-                }
+    activate(entry) {
+        if (entry.media && window.matchMedia) {
+            entry.query = window.matchMedia(entry.media);
+            entry.onChange = () => this.evaluate(entry);
+            if (entry.query.addEventListener) {
+                entry.query.addEventListener('change', entry.onChange);
+            } else {
+                entry.query.addListener(entry.onChange);
+            }
+        }
+        this.evaluate(entry);
+    }
 
-                input.addEventListener('focus', () => {
-                    label.style.transform = 'translateY(-20px)';
-                    label.style.fontSize = '0.875rem';
-                    label.style.color = '#00d4ff';
-                });
+    evaluate(entry) {
+        const enabled = !entry.query || entry.query.matches;
 
-                input.addEventListener('blur', () => {
-                    if (input.value.trim() === '') {
-                        label.style.transform = 'translateY(0)';
-                        label.style.fontSize = '1rem';
-                        label.style.color = '#b3b3b3';
-                    }
-                });
+        if (enabled && !entry.instance) {
+            try {
+                entry.instance = entry.create();
+                this.emit('component:start', { name: entry.name });
+            } catch (error) {
+                console.error(`AppKernel: ${entry.name} failed to start:`, error);
             }
-        });
+        } else if (!enabled && entry.instance) {
+            this.stop(entry);
+        }
     }
 
-    async handleSubmit(e) {
-        e.preventDefault();
-        
-        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
-        const originalText = submitBtn.innerHTML;
-        
-        // Show loading state
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-        submitBtn.disabled = true;
-        
-        // Simulate form submission (replace with actual form handling)
+    stop(entry) {
         try {
-            await this.simulateFormSubmission();
-            
-            // Success state
-            submitBtn.innerHTML = '<i class="fas fa-check"></i> Message Sent!';
-            submitBtn.style.background = '#4ecdc4';
-            
-            // Reset form
-            this.contactForm.reset();
-            
-            // Show success notification
-            this.showNotification('Message sent successfully!', 'success');
-            
+            entry.instance.destroy();
         } catch (error) {
-            // Error state
-            submitBtn.innerHTML = '<i class="fas fa-times"></i> Error Occurred';
-            submitBtn.style.background = '#ff6b6b';
-            
-            this.showNotification('Failed to send message. Please try again.', 'error');
+            console.error(`AppKernel: ${entry.name} failed to stop:`, error);
         }
-        
-        // Reset button after 3 seconds
-        setTimeout(() => {
-            submitBtn.innerHTML = originalText;
-            submitBtn.disabled = false;
-            submitBtn.style.background = '';
-        }, 3000);
+        entry.instance = null;
+        this.emit('component:stop', { name: entry.name });
+    }
+
+    get(name) {
+        const entry = this.registry.get(name);
+        return entry ? entry.instance : null;
+    }
+
+    // Subscribe to an app event; returns a function that unsubscribes
+    on(type, handler) {
+        const listener = (event) => handler(event.detail);
+        this.events.addEventListener(type, listener);
+        return () => this.events.removeEventListener(type, listener);
+    }
+
+    emit(type, detail = {}) {
+        this.events.dispatchEvent(new CustomEvent(type, { detail }));
     }
 
-    simulateFormSubmission() {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simulate random success/failure for demo
-                Math.random() > 0.1 ? resolve() : reject();
-            }, 2000);
+    destroy() {
+        this.registry.forEach(entry => {
+            if (entry.query && entry.onChange) {
+                if (entry.query.removeEventListener) {
+                    entry.query.removeEventListener('change', entry.onChange);
+                } else {
+                    entry.query.removeListener(entry.onChange);
+                }
+            }
+            if (entry.instance) this.stop(entry);
         });
+        this.registry.clear();
+        this.started = false;
     }
+}
 
-    showNotification(message, type) {
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.innerHTML = `
-            <i class="fas ${type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}"></i>
-            <span>${message}</span>
-        `;
-        
-        // Add notification styles
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${type === 'success' ? '#4ecdc4' : '#ff6b6b'};
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 10px;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-            z-index: 10000;
-            animation: slideInRight 0.3s ease-out;
-            box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+const kernel = new AppKernel();
+
+// Base class for controllers. Listeners, observers and cleanup callbacks added
+// through these helpers are released by destroy(); subclasses that create DOM
+// or timers override destroy() and call super.destroy().
+class Component {
+    constructor() {
+        this.cleanups = [];
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.onDestroy(() => target.removeEventListener(type, handler, options));
+        return handler;
+    }
+
+    // IntersectionObserver, PerformanceObserver or anything else with disconnect()
+    addObserver(observer) {
+        this.onDestroy(() => observer.disconnect());
+        return observer;
+    }
+
+    onDestroy(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    on(type, handler) {
+        this.onDestroy(kernel.on(type, handler));
+    }
+
+    emit(type, detail) {
+        kernel.emit(type, detail);
+    }
+
+    // Post a toast to the NotificationCenter
+    notify(message, options = {}) {
+        this.emit('notify', { ...options, message });
+    }
+
+    destroy() {
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+    }
+}
+
+// Chart spec fields, shared by the top-level charts list and per-project charts
+const CHART_SPEC_FIELDS = {
+    type: { type: 'string', required: true, enum: ['line', 'bar', 'radar', 'doughnut'] },
+    title: { type: 'string' },
+    unit: { type: 'string' },
+    xLabel: { type: 'string' },
+    yLabel: { type: 'string' },
+    horizontal: { type: 'boolean' },
+    source: { type: 'string' },
+    limit: { type: 'number', min: 1 },
+    labels: { type: 'array', items: { type: 'string' } },
+    datasets: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                label: { type: 'string', required: true },
+                data: { type: 'array', required: true, items: { type: 'number' } }
+            }
+        }
+    }
+};
+
+// Content Schema
+// Each field spec: type, required, and for arrays/objects the spec of their items
+const CONTENT_SCHEMA = {
+    projects: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+                title: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                image: { type: 'string' },
+                imageAlt: { type: 'string' },
+                details: { type: 'array', items: { type: 'string' } },
+                gallery: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            src: { type: 'string', required: true },
+                            alt: { type: 'string', required: true },
+                            caption: { type: 'string' }
+                        }
+                    }
+                },
+                chart: { type: 'object', fields: CHART_SPEC_FIELDS },
+                tags: { type: 'array', required: true, items: { type: 'string' } },
+                stages: { type: 'array', items: { type: 'string', pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ } },
+                metrics: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            value: { type: 'string', required: true },
+                            label: { type: 'string', required: true }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    skills: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true },
+                icon: { type: 'string', required: true },
+                skills: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            name: { type: 'string', required: true },
+                            level: { type: 'number', required: true, min: 0, max: 100 },
+                            tags: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    experience: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                title: { type: 'string', required: true },
+                company: { type: 'string', required: true },
+                date: { type: 'string', required: true },
+                type: { type: 'string', enum: ['research', 'industry', 'internship'] },
+                description: { type: 'string', required: true },
+                achievements: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+    charts: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                ...CHART_SPEC_FIELDS
+            }
+        }
+    },
+    workflow: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+                details: { type: 'array', required: true, items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+// Content Loader - renders projects, skills and experience from content.json
+class ContentLoader {
+    constructor(url = 'content.json') {
+        this.url = url;
+        this.content = null;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.content = this.sanitize(data);
+            this.render();
+        } catch (error) {
+            console.error(`ContentLoader: failed to load ${this.url}:`, error);
+        }
+
+        return this.content;
+    }
+
+    // Validate a value against a field spec, returning a list of error messages
+    validate(value, spec, path) {
+        const errors = [];
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+
+        if (actualType !== spec.type) {
+            errors.push(`${path} should be ${spec.type}, got ${value === null ? 'null' : actualType}`);
+            return errors;
+        }
+
+        if (spec.type === 'string') {
+            if (value.trim() === '') errors.push(`${path} must not be empty`);
+            if (spec.pattern && !spec.pattern.test(value)) errors.push(`${path} "${value}" does not match ${spec.pattern}`);
+            if (spec.enum && !spec.enum.includes(value)) errors.push(`${path} must be one of ${spec.enum.join(', ')}`);
+        }
+
+        if (spec.type === 'number') {
+            if (!Number.isFinite(value)) errors.push(`${path} must be a finite number`);
+            if (spec.min !== undefined && value < spec.min) errors.push(`${path} must be >= ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) errors.push(`${path} must be <= ${spec.max}`);
+        }
+
+        if (spec.type === 'array' && spec.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, spec.items, `${path}[${index}]`));
+            });
+        }
+
+        if (spec.type === 'object' && spec.fields) {
+            Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+                if (value[key] === undefined) {
+                    if (fieldSpec.required) errors.push(`${path}.${key} is required`);
+                    return;
+                }
+                errors.push(...this.validate(value[key], fieldSpec, `${path}.${key}`));
+            });
+        }
+
+        return errors;
+    }
+
+    // Drop malformed entries so one bad record doesn't take down a whole section
+    sanitize(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('content root must be an object');
+        }
+
+        const content = {};
+
+        Object.entries(CONTENT_SCHEMA).forEach(([section, spec]) => {
+            const entries = data[section];
+
+            if (entries === undefined) {
+                content[section] = [];
+                return;
+            }
+
+            if (!Array.isArray(entries)) {
+                console.error(`ContentLoader: "${section}" should be an array; section skipped`);
+                content[section] = [];
+                return;
+            }
+
+            content[section] = entries.filter((entry, index) => {
+                const errors = this.validate(entry, spec.items, `${section}[${index}]`);
+                errors.forEach(message => console.error(`ContentLoader: ${message}`));
+                return errors.length === 0;
+            });
+        });
+
+        const seenIds = new Set();
+        content.projects = content.projects.filter(project => {
+            if (seenIds.has(project.id)) {
+                console.error(`ContentLoader: duplicate project id "${project.id}"; entry skipped`);
+                return false;
+            }
+            seenIds.add(project.id);
+            return true;
+        });
+
+        return content;
+    }
+
+    render() {
+        this.renderSkills(this.content.skills);
+        this.renderProjects(this.content.projects);
+        this.renderExperience(this.content.experience);
+    }
+
+    renderSkills(categories) {
+        const grid = document.querySelector('.skills-grid');
+        if (!grid) return;
+
+        const esc = utils.escapeHTML;
+        grid.innerHTML = categories.map((category, index) => `
+            <div class="skill-category" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                <div class="category-header">
+                    <i class="fas ${esc(category.icon)}"></i>
+                    <h3>${esc(category.name)}</h3>
+                </div>
+                ${category.skills.map(skill => `
+                <div class="skill-item">
+                    <span class="skill-name">${esc(skill.name)}</span>
+                    <div class="skill-bar"><div class="skill-progress" data-progress="${skill.level}"></div></div>
+                </div>`).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderProjects(projects) {
+        const grid = document.querySelector('.projects-grid');
+        if (!grid) return;
+
+        const esc = utils.escapeHTML;
+        grid.innerHTML = projects.map((project, index) => `
+            <div class="project-card" id="project-${esc(project.id)}" data-project-id="${esc(project.id)}" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                ${project.image
+                    ? `<div class="project-image"><img src="${esc(project.image)}" alt="${esc(project.imageAlt || project.title)}" loading="lazy" decoding="async"></div>`
+                    : '<div class="project-image placeholder"></div>'}
+                <div class="project-content">
+                    <h3 class="project-title">${esc(project.title)}</h3>
+                    <p class="project-description">${esc(project.description)}</p>
+                    <div class="project-tech">
+                        ${project.tags.map(tag => `<span class="tech-tag">${esc(tag)}</span>`).join('')}
+                    </div>
+                    ${project.metrics && project.metrics.length ? `
+                    <div class="project-metrics">
+                        ${project.metrics.map(metric => `
+                        <div class="metric">
+                            <span class="metric-value">${esc(metric.value)}</span>
+                            <span class="metric-label">${esc(metric.label)}</span>
+                        </div>`).join('')}
+                    </div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderExperience(items) {
+        const timeline = document.querySelector('.experience .timeline');
+        if (!timeline) return;
+
+        const esc = utils.escapeHTML;
+        timeline.innerHTML = items.map((item, index) => `
+            <div class="timeline-item" data-aos="${index % 2 === 0 ? 'fade-right' : 'fade-left'}" data-aos-delay="${(index + 1) * 100}">
+                <div class="timeline-date" data-i18n-range="${esc(item.date)}">${esc(i18n.formatRange(item.date))}</div>
+                <div class="timeline-content">
+                    <h3 class="timeline-title">${esc(item.title)}</h3>
+                    <h4 class="timeline-company">${esc(item.company)}</h4>
+                    <p class="timeline-description">${esc(item.description)}</p>
+                    ${item.achievements && item.achievements.length ? `
+                    <div class="timeline-achievements">
+                        ${item.achievements.map(achievement => `<span class="achievement">• ${esc(achievement)}</span>`).join('')}
+                    </div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// Responsive Image Loader
+// images/manifest.json (written by tools/build-images.js) lists AVIF/WebP
+// variants and a blurred placeholder per source image. Listed images are wrapped
+// in <picture> with srcset/sizes; all images are lazy loaded, and any that fail
+// to load are swapped for a labelled fallback.
+class ResponsiveImageLoader {
+    constructor(url = 'images/manifest.json') {
+        this.url = url;
+        this.manifest = {};
+
+        // sizes for each kind of image, matching the layout in styles.css
+        this.sizes = {
+            '.project-image img': '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 560px',
+            '.profile-image': '(max-width: 768px) 90vw, 450px'
+        };
+    }
+
+    // The manifest only exists once the build step has run, so a missing one is not an error
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (response.ok) {
+                this.manifest = await response.json();
+            }
+        } catch (error) {
+            console.error(`ResponsiveImageLoader: failed to load ${this.url}:`, error);
+        }
+
+        return this;
+    }
+
+    enhanceAll(root = document) {
+        Object.entries(this.sizes).forEach(([selector, sizes]) => {
+            root.querySelectorAll(selector).forEach(img => this.enhance(img, { sizes }));
+        });
+    }
+
+    // Safe to call again after an image's src changes (e.g. the modal gallery)
+    enhance(img, { sizes = '100vw', lazy = true } = {}) {
+        const src = img.getAttribute('src');
+        if (!src) return;
+
+        const entry = this.manifest[src] || this.manifest[decodeURI(src)];
+
+        this.clearFallback(img);
+        img.loading = lazy ? 'lazy' : 'eager';
+        img.decoding = 'async';
+
+        if (!img.dataset.fallbackBound) {
+            img.dataset.fallbackBound = 'true';
+            img.addEventListener('error', () => this.showFallback(img));
+            img.addEventListener('load', () => {
+                img.classList.remove('image-loading');
+                img.style.backgroundImage = '';
+            });
+        }
+
+        this.setSources(img, entry, sizes);
+
+        if (entry) {
+            img.width = entry.width;
+            img.height = entry.height;
+            if (!img.complete) {
+                img.classList.add('image-loading');
+                img.style.backgroundImage = `url("${entry.placeholder}")`;
+            }
+        }
+
+        // The error may already have fired before the listener was attached
+        if (img.complete && img.naturalWidth === 0 && !entry) {
+            this.showFallback(img);
+        }
+    }
+
+    setSources(img, entry, sizes) {
+        let picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+        if (picture) {
+            picture.querySelectorAll('source').forEach(source => source.remove());
+        }
+        if (!entry) return;
+
+        if (!picture) {
+            picture = document.createElement('picture');
+            img.parentNode.insertBefore(picture, img);
+            picture.appendChild(img);
+        }
+
+        entry.formats.forEach(format => {
+            const source = document.createElement('source');
+            source.type = `image/${format}`;
+            source.srcset = entry.widths.map(width => `${entry.base}-${width}.${format} ${width}w`).join(', ');
+            source.sizes = sizes;
+            picture.insertBefore(source, img);
+        });
+    }
+
+    // Hide the broken image and show its alt text in its place
+    showFallback(img) {
+        const container = img.parentElement && img.parentElement.tagName === 'PICTURE'
+            ? img.parentElement.parentElement
+            : img.parentElement;
+        if (!container || container.querySelector(':scope > .image-fallback')) return;
+
+        const fallback = document.createElement('div');
+        fallback.className = 'image-fallback';
+        fallback.setAttribute('role', 'img');
+        const label = img.alt || i18n.t('images.unavailable');
+        fallback.setAttribute('aria-label', label);
+        fallback.innerHTML = `
+            <i class="fas fa-image" aria-hidden="true"></i>
+            <span>${utils.escapeHTML(label)}</span>
         `;
+
+        img.hidden = true;
+        img.classList.remove('image-loading');
+        img.style.backgroundImage = '';
+        container.classList.add('image-missing');
+        container.appendChild(fallback);
+    }
+
+    clearFallback(img) {
+        const container = img.closest('.image-missing');
+        if (!container) return;
+
+        container.classList.remove('image-missing');
+        container.querySelectorAll(':scope > .image-fallback').forEach(fallback => fallback.remove());
+        img.hidden = false;
+    }
+}
+
+// Scroll Service
+// The only scroll listener on the page. Scroll position is read once per
+// animation frame and published on the kernel as "scroll:update" with
+// { y, maxY, progress, direction }. Sections are watched with
+// IntersectionObserver instead of offset math: "section:enter" and
+// "section:leave" fire as a section comes into or goes out of view, and
+// "section:change" when a new section crosses the line just below the navbar.
+class ScrollService extends Component {
+    constructor({ selector = 'section[id]', offset = 100 } = {}) {
+        super();
+        this.sections = Array.from(document.querySelectorAll(selector));
+        this.offset = offset;
+        this.state = { y: window.scrollY, maxY: 0, progress: 0, direction: 0 };
+        this.frameId = null;
+        this.needsMeasure = true;
+        this.activeId = null;
+        this.activeObserver = null;
+        this.visible = new Set();
+
+        this.init();
+    }
+
+    init() {
+        const remeasure = () => {
+            this.needsMeasure = true;
+            this.schedule();
+        };
+
+        this.listen(window, 'scroll', () => this.schedule(), { passive: true });
+        this.listen(window, 'resize', remeasure);
+        this.listen(window, 'load', remeasure);
+
+        // Content, images and charts change the page height after load
+        if ('ResizeObserver' in window) {
+            this.addObserver(new ResizeObserver(remeasure)).observe(document.body);
+        }
+
+        if ('IntersectionObserver' in window && this.sections.length > 0) {
+            this.observeVisibility();
+            this.observeActive();
+            this.onDestroy(() => this.activeObserver.disconnect());
+        }
+
+        this.onDestroy(() => cancelAnimationFrame(this.frameId));
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.frameId) return;
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.update();
+        });
+    }
+
+    // Layout is only read here, once per frame, and never after a write
+    update() {
+        if (this.needsMeasure) {
+            this.needsMeasure = false;
+            this.maxY = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+            if (this.activeObserver && window.innerHeight !== this.viewportHeight) this.observeActive();
+        }
+
+        const y = window.scrollY;
+        this.state = {
+            y,
+            maxY: this.maxY,
+            progress: this.maxY > 0 ? Math.min(Math.max(y / this.maxY, 0), 1) : 0,
+            direction: Math.sign(y - this.state.y)
+        };
+        this.emit('scroll:update', this.state);
+    }
+
+    observeVisibility() {
+        const observer = this.addObserver(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const id = entry.target.id;
+                if (entry.isIntersecting && !this.visible.has(id)) {
+                    this.visible.add(id);
+                    this.emit('section:enter', { id, element: entry.target });
+                } else if (!entry.isIntersecting && this.visible.delete(id)) {
+                    this.emit('section:leave', { id, element: entry.target });
+                }
+            });
+        }));
+        this.sections.forEach(section => observer.observe(section));
+    }
+
+    // The root is shrunk to a one-pixel band at the navbar line, so at most one
+    // section intersects it. rootMargin takes no calc(), so the band is rebuilt
+    // when the viewport height changes.
+    observeActive() {
+        if (this.activeObserver) this.activeObserver.disconnect();
+
+        this.viewportHeight = window.innerHeight;
+        const bottom = Math.max(this.viewportHeight - this.offset - 1, 0);
+
+        this.activeObserver = new IntersectionObserver((entries) => {
+            const entry = entries.filter(item => item.isIntersecting).pop();
+            if (entry) this.setActive(entry.target.id);
+        }, { rootMargin: `-${this.offset}px 0px -${bottom}px 0px` });
+        this.sections.forEach(section => this.activeObserver.observe(section));
+    }
+
+    setActive(id) {
+        if (id === this.activeId) return;
+
+        const previous = this.activeId;
+        this.activeId = id;
+        this.emit('section:change', { id, previous });
+    }
+
+    isVisible(id) {
+        return this.visible.has(id);
+    }
+}
+
+// Reading Progress
+// A thin bar along the top edge showing how far down the page the visitor is
+class ReadingProgress extends Component {
+    constructor() {
+        super();
+        this.init();
+    }
+
+    init() {
+        // Decorative: the browser's scrollbar already conveys the position
+        this.bar = document.createElement('div');
+        this.bar.className = 'reading-progress';
+        this.bar.setAttribute('aria-hidden', 'true');
+        document.body.prepend(this.bar);
+
+        this.on('scroll:update', ({ progress }) => {
+            this.bar.style.transform = `scaleX(${progress})`;
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        this.bar.remove();
+    }
+}
+
+// Navigation Functionality
+class Navigation extends Component {
+    constructor() {
+        super();
+        this.navbar = document.getElementById('navbar');
+        this.navToggle = document.getElementById('nav-toggle');
+        this.navMenu = document.getElementById('nav-menu');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.sections = document.querySelectorAll('section[id]');
+        this.activeSectionId = null;
+
+        // Section id -> nav link, so marking the active link needs no lookups
+        this.linksBySection = new Map();
+        this.navLinks.forEach(link => {
+            const section = this.getSection(link.getAttribute('href'));
+            if (section) this.linksBySection.set(section.id, link);
+        });
         
-        document.body.appendChild(notification);
-        
-        // Remove notification after 5 seconds
-        setTimeout(() => {
-            notification.style.animation = 'slideOutRight 0.3s ease-out';
-            setTimeout(() => notification.remove(), 300);
-        }, 5000);
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.handleScroll(window.scrollY);
+        this.scrollToInitialHash();
+    }
+
+    bindEvents() {
+        // Mobile menu toggle
+        if (this.navToggle) {
+            this.listen(this.navToggle, 'click', () => this.toggleMobileMenu());
+        }
+
+        // Smooth scroll for every in-page link that targets a section (nav, hero buttons, footer)
+        document.querySelectorAll('a[href^="#"]').forEach(link => {
+            if (this.getSection(link.getAttribute('href'))) {
+                this.listen(link, 'click', (e) => this.handleNavClick(e));
+            }
+        });
+
+        // Scroll position and the current section come from ScrollService
+        this.on('scroll:update', ({ y }) => this.handleScroll(y));
+        this.on('section:change', ({ id }) => this.setActiveSection(id));
+
+        // Close mobile menu when clicking outside
+        this.listen(document, 'click', (e) => this.handleOutsideClick(e));
+
+        // Keyboard handling for the open mobile menu
+        this.listen(document, 'keydown', (e) => this.handleKeydown(e));
+
+        // Back/forward between section hashes; leaving an open modal keeps the current position
+        this.listen(window, 'popstate', () => {
+            if (document.body.classList.contains('modal-open')) return;
+            const section = this.getSection(window.location.hash);
+            if (section) this.scrollToSection(section, false);
+        });
+    }
+
+    // Resolve "#id" to a section element, ignoring non-section hashes like "#project/..."
+    getSection(hash) {
+        if (!hash || !/^#[\w-]+$/.test(hash)) return null;
+        const element = document.getElementById(hash.slice(1));
+        return element && element.matches('section[id]') ? element : null;
+    }
+
+    getNavOffset() {
+        return this.navbar ? this.navbar.offsetHeight : 80;
+    }
+
+    scrollToSection(section, smooth = true) {
+        if (smooth) {
+            utils.scrollToElement(section, this.getNavOffset());
+        } else {
+            window.scrollTo(0, section.offsetTop - this.getNavOffset());
+        }
+    }
+
+    // Content is rendered after the browser's own jump, so redo it with the navbar offset
+    scrollToInitialHash() {
+        const section = this.getSection(window.location.hash);
+        if (section) this.scrollToSection(section, false);
+    }
+
+    isMenuOpen() {
+        return this.navMenu.classList.contains('active');
+    }
+
+    toggleMobileMenu() {
+        if (this.isMenuOpen()) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    openMobileMenu() {
+        this.navToggle.classList.add('active');
+        this.navMenu.classList.add('active');
+        this.navToggle.setAttribute('aria-expanded', 'true');
+
+        const firstLink = this.navMenu.querySelector('.nav-link');
+        // Wait for the menu to become visible before moving focus into it
+        if (firstLink) setTimeout(() => firstLink.focus(), 50);
+    }
+
+    closeMobileMenu(returnFocus = false) {
+        if (!this.navToggle || !this.isMenuOpen()) return;
+
+        this.navToggle.classList.remove('active');
+        this.navMenu.classList.remove('active');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+
+        if (returnFocus) this.navToggle.focus();
+    }
+
+    handleKeydown(e) {
+        if (!this.navToggle || !this.isMenuOpen()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeMobileMenu(true);
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    // Keep Tab cycling between the toggle and the menu links while the menu is open
+    trapFocus(e) {
+        const focusable = [this.navToggle, ...this.navMenu.querySelectorAll('.nav-link')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    handleNavClick(e) {
+        const targetId = e.currentTarget.getAttribute('href');
+        const targetSection = this.getSection(targetId);
+        
+        if (targetSection) {
+            e.preventDefault();
+            this.scrollToSection(targetSection);
+
+            if (window.location.hash !== targetId) {
+                history.pushState(null, '', targetId);
+            }
+            this.activeSectionId = targetSection.id;
+
+            // Move focus for keyboard and screen reader users without a second jump
+            if (!targetSection.hasAttribute('tabindex')) targetSection.setAttribute('tabindex', '-1');
+            targetSection.focus({ preventScroll: true });
+            
+            // Close mobile menu after clicking
+            this.closeMobileMenu();
+        }
+    }
+
+    handleScroll(scrollY) {
+        // Add/remove navbar background on scroll
+        this.navbar.classList.toggle('scrolled', scrollY > 50);
+    }
+
+    setActiveSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (!section) return;
+
+        const navLink = this.linksBySection.get(sectionId);
+        this.navLinks.forEach(link => {
+            link.classList.remove('active');
+            link.removeAttribute('aria-current');
+        });
+        if (navLink) {
+            navLink.classList.add('active');
+            navLink.setAttribute('aria-current', 'location');
+        }
+        this.updateHash(section);
+    }
+
+    // Scrolling replaces the current entry rather than pushing one per section,
+    // so Back still leaves the page instead of replaying the scroll
+    updateHash(section) {
+        const sectionId = section.id;
+        if (sectionId === this.activeSectionId) return;
+        this.activeSectionId = sectionId;
+
+        // Leave other hash routes (e.g. an open project modal) alone,
+        // and keep a plain URL while the visitor is still at the top
+        const hash = window.location.hash;
+        if (hash && !this.getSection(hash)) return;
+        if (!hash && section === this.sections[0]) return;
+
+        const newHash = `#${sectionId}`;
+        if (hash !== newHash) {
+            history.replaceState(history.state, '', newHash);
+        }
+    }
+
+    handleOutsideClick(e) {
+        if (!this.navToggle) return;
+        if (!this.navToggle.contains(e.target) && !this.navMenu.contains(e.target)) {
+            this.closeMobileMenu();
+        }
+    }
+}
+
+// Animation System
+class AnimationController extends Component {
+    constructor() {
+        super();
+        this.observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+        
+        this.init();
+    }
+
+    init() {
+        this.setupAOS();
+        this.setupSkillBars();
+        this.setupCounters();
+        this.setupTypewriter();
+    }
+
+    setupAOS() {
+        // Initialize AOS (Animate On Scroll)
+        // Elements stay visible under reduced motion via the [data-reduced-motion] CSS rules
+        if (typeof AOS !== 'undefined') {
+            AOS.init({
+                duration: 1000,
+                easing: 'ease-in-out',
+                once: true,
+                offset: 100,
+                disable: () => motionPreference.isReduced()
+            });
+        }
+    }
+
+    setupSkillBars() {
+        const skillBars = document.querySelectorAll('.skill-progress');
+        const skillObserver = this.addObserver(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const progressBar = entry.target;
+                    const progress = progressBar.getAttribute('data-progress');
+                    
+                    setTimeout(() => {
+                        progressBar.style.width = progress + '%';
+                    }, 200);
+                }
+            });
+        }, this.observerOptions));
+
+        // Reduced motion: show final widths straight away
+        if (motionPreference.isReduced()) {
+            skillBars.forEach(bar => {
+                bar.style.width = bar.getAttribute('data-progress') + '%';
+            });
+            return;
+        }
+
+        skillBars.forEach(bar => {
+            bar.style.width = '0%';
+            skillObserver.observe(bar);
+        });
+    }
+
+    setupCounters() {
+        const counters = document.querySelectorAll('.stat-number');
+        const counterObserver = this.addObserver(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.animateCounter(entry.target);
+                }
+            });
+        }, this.observerOptions));
+
+        counters.forEach(counter => counterObserver.observe(counter));
+    }
+
+    animateCounter(element) {
+        if (motionPreference.isReduced()) return;
+
+        // Localized counters carry their value in data-i18n-number
+        const localized = element.dataset.i18nNumber !== undefined;
+        const text = element.textContent;
+        const number = localized ? Number(element.dataset.i18nNumber) : parseInt(text.replace(/[^\d]/g, ''));
+        const suffix = localized ? element.dataset.suffix || '' : text.replace(/[\d]/g, '');
+        const duration = 2000;
+        const startTime = performance.now();
+
+        const updateCounter = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            // Easing function
+            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+            const currentNumber = Math.floor(number * easeOutQuart);
+            
+            element.textContent = i18n.formatNumber(currentNumber) + suffix;
+            
+            if (progress < 1 && !motionPreference.isReduced()) {
+                requestAnimationFrame(updateCounter);
+            } else {
+                // Ensure final value is exact, in the locale current by now
+                element.textContent = localized ? i18n.formatNumber(number) + suffix : text;
+            }
+        };
+
+        requestAnimationFrame(updateCounter);
+    }
+
+    setupTypewriter() {
+        const typewriterElement = document.querySelector('.hero-subtitle');
+        if (typewriterElement && !motionPreference.isReduced()) {
+            const text = typewriterElement.textContent;
+            typewriterElement.textContent = '';
+            
+            let i = 0;
+            const typeWriter = () => {
+                // Motion turned off mid-way: show the rest at once
+                if (motionPreference.isReduced()) {
+                    typewriterElement.textContent = text;
+                    return;
+                }
+                if (i < text.length) {
+                    typewriterElement.textContent += text.charAt(i);
+                    i++;
+                    this.typewriterTimer = setTimeout(typeWriter, 100);
+                }
+            };
+            
+            this.typewriterTimer = setTimeout(typeWriter, 1000);
+            // i18n has already written the new subtitle by the time this fires
+            this.listen(document, 'localechange', () => clearTimeout(this.typewriterTimer));
+            this.onDestroy(() => {
+                clearTimeout(this.typewriterTimer);
+                typewriterElement.textContent = i18n.t('hero.subtitle');
+            });
+        }
+    }
+}
+
+// Chart Visualizations
+// Charts are declared in markup with data-chart, holding either the id of a
+// spec in content.json "charts" or an inline JSON spec, and are only created
+// once their canvas scrolls into view.
+class ChartController extends Component {
+    constructor(content = null) {
+        super();
+        this.content = content || { projects: [], skills: [], charts: [] };
+        this.charts = new Map();
+        this.specs = new Map((this.content.charts || []).map(spec => [spec.id, spec]));
+        this.lastWidth = window.innerWidth;
+
+        // Derived datasets, computed from the rest of the content
+        this.sources = {
+            skillAverages: () => this.getSkillAverages(),
+            projectTags: (spec) => this.getProjectTagCounts(spec.limit || 10)
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (typeof Chart === 'undefined') return;
+
+        this.observer = this.addObserver(new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.observer.unobserve(entry.target);
+                    this.createChart(entry.target);
+                }
+            });
+        }, { rootMargin: '100px 0px' }));
+
+        document.querySelectorAll('canvas[data-chart]').forEach(canvas => this.observe(canvas));
+
+        this.listen(document, 'themechange', () => this.rebuildCharts());
+        this.listen(document, 'localechange', () => this.rebuildCharts());
+        this.listen(window, 'resize', utils.debounce(() => {
+            // Mobile browsers fire resize when the URL bar hides; only rebuild on width changes
+            if (window.innerWidth === this.lastWidth) return;
+            this.lastWidth = window.innerWidth;
+            this.rebuildCharts();
+        }, 250));
+    }
+
+    observe(canvas) {
+        if (this.observer) this.observer.observe(canvas);
+    }
+
+    // Render a spec into a canvas right away (used by the project modal)
+    render(canvas, spec) {
+        if (typeof Chart === 'undefined') return null;
+        canvas.chartSpec = spec;
+        return this.createChart(canvas);
+    }
+
+    resolveSpec(canvas) {
+        if (canvas.chartSpec) return canvas.chartSpec;
+
+        const value = canvas.dataset.chart.trim();
+        if (value.startsWith('{')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.error('ChartController: invalid inline chart spec:', error);
+                return null;
+            }
+        }
+
+        if (!this.specs.has(value)) {
+            console.error(`ChartController: no chart spec with id "${value}"`);
+            return null;
+        }
+        return this.specs.get(value);
+    }
+
+    resolveData(spec) {
+        if (spec.source) {
+            const source = this.sources[spec.source];
+            if (!source) {
+                console.error(`ChartController: unknown data source "${spec.source}"`);
+                return null;
+            }
+            return source(spec);
+        }
+
+        if (!Array.isArray(spec.labels) || !Array.isArray(spec.datasets)) {
+            console.error('ChartController: chart spec needs labels and datasets, or a source');
+            return null;
+        }
+        return { labels: spec.labels, datasets: spec.datasets };
+    }
+
+    getSkillAverages() {
+        const categories = this.content.skills || [];
+        return {
+            labels: categories.map(category => category.name),
+            datasets: [{
+                label: i18n.t('charts.averageProficiency'),
+                data: categories.map(category => {
+                    const total = category.skills.reduce((sum, skill) => sum + skill.level, 0);
+                    return Math.round(total / category.skills.length);
+                })
+            }]
+        };
+    }
+
+    getProjectTagCounts(limit) {
+        const counts = new Map();
+        (this.content.projects || []).forEach(project => {
+            project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        // Single-use tags say little about breadth, so leave them out
+        const top = Array.from(counts.entries())
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit);
+
+        return {
+            labels: top.map(([tag]) => tag),
+            datasets: [{ label: i18n.t('charts.projects'), data: top.map(([, count]) => count) }]
+        };
+    }
+
+    // Chart.js draws to canvas, so colors come from the active theme's CSS variables
+    getThemeColors() {
+        return {
+            primary: utils.cssVar('--primary-color'),
+            primaryRGB: utils.cssVar('--primary-color-rgb'),
+            accent: utils.cssVar('--accent-color'),
+            secondary: utils.cssVar('--secondary-color'),
+            warning: utils.cssVar('--warning-color'),
+            text: utils.cssVar('--text-primary'),
+            textSecondary: utils.cssVar('--text-secondary'),
+            grid: utils.cssVar('--chart-grid'),
+            tooltip: utils.cssVar('--chart-tooltip-bg'),
+            background: utils.cssVar('--bg-primary')
+        };
+    }
+
+    styleDataset(dataset, index, spec, colors, ctx) {
+        const palette = [colors.primary, colors.accent, colors.secondary, colors.warning];
+        const color = palette[index % palette.length];
+        const styled = { ...dataset, borderColor: color, borderWidth: 2 };
+
+        if (spec.type === 'line') {
+            const gradient = ctx.createLinearGradient(0, 0, 0, ctx.canvas.clientHeight || 300);
+            gradient.addColorStop(0, `rgba(${colors.primaryRGB}, ${index === 0 ? 0.5 : 0})`);
+            gradient.addColorStop(1, `rgba(${colors.primaryRGB}, 0)`);
+
+            Object.assign(styled, {
+                backgroundColor: gradient,
+                fill: index === 0,
+                tension: 0.4,
+                pointBackgroundColor: color,
+                pointBorderColor: colors.background,
+                pointBorderWidth: 2,
+                pointRadius: 4,
+                pointHoverRadius: 6
+            });
+        } else if (spec.type === 'radar') {
+            Object.assign(styled, {
+                backgroundColor: `rgba(${colors.primaryRGB}, 0.2)`,
+                pointBackgroundColor: color,
+                pointRadius: 3
+            });
+        } else if (spec.type === 'doughnut') {
+            Object.assign(styled, {
+                backgroundColor: dataset.data.map((_, i) => palette[i % palette.length]),
+                borderColor: colors.background
+            });
+        } else {
+            Object.assign(styled, {
+                backgroundColor: color,
+                borderRadius: 6,
+                maxBarThickness: 36
+            });
+        }
+
+        return styled;
+    }
+
+    // Specs in content.json can name a catalog key (titleKey, xLabelKey, yLabelKey)
+    // next to the English text, so the chart follows the locale
+    label(spec, field) {
+        const key = spec[`${field}Key`];
+        return key ? i18n.t(key) : spec[field];
+    }
+
+    buildOptions(spec, colors) {
+        const unit = spec.unit || '';
+        const withUnit = (value) => {
+            const formatted = typeof value === 'number' ? i18n.formatNumber(value) : value;
+            return unit ? `${formatted}${unit === '%' ? '' : ' '}${unit}` : `${formatted}`;
+        };
+        const compact = window.innerWidth < 768;
+        const font = { family: 'Inter', size: compact ? 10 : 11 };
+        const axis = (title) => ({
+            grid: { color: colors.grid, borderColor: colors.grid },
+            ticks: { color: colors.textSecondary, font },
+            title: title
+                ? { display: true, text: title, color: colors.textSecondary, font }
+                : { display: false }
+        });
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: spec.type === 'doughnut' || (spec.datasets || []).length > 1,
+                    labels: { color: colors.textSecondary, font }
+                },
+                title: {
+                    display: Boolean(spec.title),
+                    text: this.label(spec, 'title'),
+                    color: colors.text,
+                    font: { family: 'Inter', size: compact ? 13 : 15, weight: '600' }
+                },
+                tooltip: {
+                    backgroundColor: colors.tooltip,
+                    titleColor: colors.text,
+                    bodyColor: colors.textSecondary,
+                    borderColor: colors.primary,
+                    borderWidth: 1,
+                    cornerRadius: 8,
+                    displayColors: false,
+                    callbacks: {
+                        label: function(context) {
+                            const value = context.parsed && typeof context.parsed === 'object'
+                                ? (spec.type === 'radar' ? context.parsed.r : (spec.horizontal ? context.parsed.x : context.parsed.y))
+                                : context.parsed;
+                            return `${context.dataset.label}: ${withUnit(value)}`;
+                        }
+                    }
+                }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            },
+            animation: motionPreference.isReduced() ? false : {
+                duration: 2000,
+                easing: 'easeInOutQuart'
+            }
+        };
+
+        if (spec.type === 'radar') {
+            options.scales = {
+                r: {
+                    angleLines: { color: colors.grid },
+                    grid: { color: colors.grid },
+                    pointLabels: { color: colors.textSecondary, font },
+                    ticks: { color: colors.textSecondary, backdropColor: 'transparent', font, callback: withUnit },
+                    suggestedMin: 0
+                }
+            };
+        } else if (spec.type !== 'doughnut') {
+            const valueAxis = axis(this.label(spec, 'yLabel'));
+            valueAxis.beginAtZero = true;
+            valueAxis.ticks.callback = withUnit;
+
+            options.indexAxis = spec.horizontal ? 'y' : 'x';
+            options.scales = spec.horizontal
+                ? { x: valueAxis, y: axis(this.label(spec, 'xLabel')) }
+                : { x: axis(this.label(spec, 'xLabel')), y: valueAxis };
+        }
+
+        return options;
+    }
+
+    createChart(canvas) {
+        const spec = this.resolveSpec(canvas);
+        if (!spec) return null;
+
+        const data = this.resolveData(spec);
+        if (!data) return null;
+
+        this.destroyChart(canvas);
+
+        const ctx = canvas.getContext('2d');
+        const colors = this.getThemeColors();
+        const config = {
+            type: spec.type,
+            data: {
+                labels: data.labels,
+                datasets: data.datasets.map((dataset, index) => this.styleDataset(dataset, index, spec, colors, ctx))
+            },
+            options: this.buildOptions(spec, colors)
+        };
+
+        const chart = new Chart(canvas, config);
+        this.charts.set(canvas, chart);
+        return chart;
+    }
+
+    destroyChart(canvas) {
+        const chart = this.charts.get(canvas);
+        if (chart) {
+            chart.destroy();
+            this.charts.delete(canvas);
+        }
+    }
+
+    rebuildCharts() {
+        Array.from(this.charts.keys()).forEach(canvas => {
+            if (canvas.isConnected) {
+                this.createChart(canvas);
+            } else {
+                this.destroyChart(canvas);
+            }
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        Array.from(this.charts.keys()).forEach(canvas => this.destroyChart(canvas));
+    }
+}
+
+// Notification Center
+// Toasts for the whole app. Components post with this.notify(message, options),
+// which emits "notify" on the kernel. Options are severity (success, error, info
+// or warning), duration in ms (0 keeps the toast until it is dismissed), key (a
+// second toast with the same key is dropped while the first is still around)
+// and action ({ label, onClick }). Up to `limit` toasts are stacked and the rest
+// wait in a queue; a toast's countdown pauses while it is hovered or focused.
+// Messages are only ever set as text.
+class NotificationCenter extends Component {
+    constructor({ limit = 3, duration = 5000 } = {}) {
+        super();
+        this.limit = limit;
+        this.duration = duration;
+        this.exitDuration = 300;
+        this.queue = [];
+        this.toasts = new Map();
+        this.nextId = 1;
+        this.icons = {
+            success: 'fa-check-circle',
+            error: 'fa-exclamation-circle',
+            warning: 'fa-exclamation-triangle',
+            info: 'fa-info-circle'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.region = document.createElement('section');
+        this.region.className = 'notification-region';
+        this.region.dataset.i18nAttr = 'aria-label:notifications.region';
+        i18n.translate(this.region);
+
+        this.stack = document.createElement('ol');
+        this.stack.className = 'notification-stack';
+
+        // Screen readers only announce changes to live regions that were already
+        // in the page, so these exist up front; errors interrupt, the rest wait
+        this.politeRegion = this.createLiveRegion('status', 'polite');
+        this.assertiveRegion = this.createLiveRegion('alert', 'assertive');
+
+        this.region.append(this.stack, this.politeRegion, this.assertiveRegion);
+        document.body.appendChild(this.region);
+
+        this.on('notify', ({ message, ...options }) => this.show(message, options));
+    }
+
+    createLiveRegion(role, politeness) {
+        const region = document.createElement('div');
+        region.className = 'sr-only';
+        region.setAttribute('role', role);
+        region.setAttribute('aria-live', politeness);
+        return region;
+    }
+
+    // Returns the toast id, for dismiss()
+    show(message, { severity = 'info', duration = this.duration, key = null, action = null } = {}) {
+        if (key) {
+            const existing = [...this.toasts.values(), ...this.queue].find(item => item.key === key && !item.leaving);
+            if (existing) return existing.id;
+        }
+
+        const notification = {
+            id: this.nextId++,
+            message: String(message),
+            severity: this.icons[severity] ? severity : 'info',
+            duration,
+            key,
+            action
+        };
+
+        if (this.toasts.size < this.limit) {
+            this.render(notification);
+        } else {
+            this.queue.push(notification);
+        }
+        return notification.id;
+    }
+
+    render(notification) {
+        const { id, severity, action } = notification;
+        const toast = document.createElement('li');
+        toast.className = `notification ${severity}`;
+        toast.innerHTML = `
+            <i class="fas ${this.icons[severity]}" aria-hidden="true"></i>
+            <p class="notification-message"></p>
+            ${action ? '<button type="button" class="notification-action"></button>' : ''}
+            <button type="button" class="notification-dismiss" data-i18n-attr="aria-label:notifications.dismiss" aria-label="${utils.escapeHTML(i18n.t('notifications.dismiss'))}">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `;
+        toast.querySelector('.notification-message').textContent = notification.message;
+
+        const entry = { ...notification, element: toast, remaining: notification.duration, timer: null, hovered: false, focused: false };
+
+        if (action) {
+            const button = toast.querySelector('.notification-action');
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                this.dismiss(id);
+            });
+        }
+        toast.querySelector('.notification-dismiss').addEventListener('click', () => this.dismiss(id));
+
+        toast.addEventListener('mouseenter', () => this.setHeld(entry, 'hovered', true));
+        toast.addEventListener('mouseleave', () => this.setHeld(entry, 'hovered', false));
+        toast.addEventListener('focusin', () => this.setHeld(entry, 'focused', true));
+        toast.addEventListener('focusout', (e) => {
+            if (!toast.contains(e.relatedTarget)) this.setHeld(entry, 'focused', false);
+        });
+
+        this.toasts.set(id, entry);
+        this.stack.appendChild(toast);
+        this.announce(entry);
+        this.startTimer(entry);
+    }
+
+    // Each message is a new node, so a repeat of the same text is read again
+    announce(entry) {
+        const region = entry.severity === 'error' ? this.assertiveRegion : this.politeRegion;
+        entry.announcement = document.createElement('p');
+        entry.announcement.textContent = entry.message;
+        region.appendChild(entry.announcement);
+    }
+
+    setHeld(entry, reason, held) {
+        entry[reason] = held;
+        if (entry.hovered || entry.focused) {
+            this.pauseTimer(entry);
+        } else {
+            this.startTimer(entry);
+        }
+    }
+
+    startTimer(entry) {
+        if (entry.duration <= 0 || entry.timer || entry.leaving || entry.hovered || entry.focused) return;
+
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => this.dismiss(entry.id), entry.remaining);
+    }
+
+    pauseTimer(entry) {
+        if (!entry.timer) return;
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining -= Date.now() - entry.startedAt;
+    }
+
+    dismiss(id) {
+        const entry = this.toasts.get(id);
+        if (!entry) {
+            this.queue = this.queue.filter(item => item.id !== id);
+            return;
+        }
+        if (entry.leaving) return;
+
+        entry.leaving = true;
+        this.pauseTimer(entry);
+        entry.element.classList.add('leaving');
+
+        // The slide-out runs in CSS; the toast's slot is freed once it ends
+        setTimeout(() => {
+            entry.element.remove();
+            entry.announcement.remove();
+            this.toasts.delete(id);
+            if (this.queue.length > 0) this.render(this.queue.shift());
+        }, this.exitDuration);
+    }
+
+    destroy() {
+        super.destroy();
+        this.toasts.forEach(entry => clearTimeout(entry.timer));
+        this.toasts.clear();
+        this.queue = [];
+        this.region.remove();
+    }
+}
+
+// Form Submission Backends
+class SubmissionError extends Error {
+    constructor(message, { retryable = false, status = 0 } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+// POSTs the message to an HTTP endpoint as JSON or form-encoded data
+class FetchSubmissionBackend {
+    constructor({ endpoint, encoding = 'json', timeout = 10000 }) {
+        this.endpoint = endpoint;
+        this.encoding = encoding;
+        this.timeout = timeout;
+    }
+
+    encode(data) {
+        if (this.encoding === 'form') {
+            return {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(data).toString()
+            };
+        }
+
+        return {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        };
+    }
+
+    async send(data) {
+        const { headers, body } = this.encode(data);
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { Accept: 'application/json', ...headers },
+                body,
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            // Network failure or timeout - worth another attempt
+            throw new SubmissionError(`Network error: ${error.message}`, { retryable: true });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            const retryable = response.status >= 500 || response.status === 429;
+            throw new SubmissionError(`Server responded with ${response.status}`, {
+                retryable,
+                status: response.status
+            });
+        }
+    }
+}
+
+// Opens the visitor's mail client with the message prefilled
+class MailtoSubmissionBackend {
+    constructor({ address }) {
+        this.address = address;
+    }
+
+    buildLink(data) {
+        const body = `${data.message}\n\n-- \n${data.name} <${data.email}>`;
+        const params = new URLSearchParams({ subject: data.subject, body });
+        // URLSearchParams encodes spaces as "+", which mail clients show literally
+        return `mailto:${this.address}?${params.toString().replace(/\+/g, '%20')}`;
+    }
+
+    async send(data) {
+        window.location.href = this.buildLink(data);
+    }
+}
+
+// Form Handling
+class FormController extends Component {
+    constructor() {
+        super();
+        this.contactForm = document.querySelector('.contact-form');
+        this.queueKey = 'contactQueue';
+        this.maxAttempts = 3;
+        this.retryDelay = 1000;
+        this.minFillTime = 3000;
+
+        this.validators = {
+            name: value => value.length >= 2 || i18n.t('form.errors.name'),
+            email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || i18n.t('form.errors.email'),
+            subject: value => value.length >= 3 || i18n.t('form.errors.subject'),
+            message: value => value.length >= 10 || i18n.t('form.errors.message')
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (this.contactForm) {
+            this.configureBackends();
+            this.setupValidation();
+            this.bindEvents();
+            this.setupFloatingLabels();
+            this.startedAt = null;
+            this.retryTimers = new Set();
+            this.onDestroy(() => this.retryTimers.forEach(timer => clearTimeout(timer)));
+            this.flushQueue();
+        }
+    }
+
+    // Endpoint and fallback address come from data attributes on the form
+    configureBackends() {
+        const { endpoint, encoding, mailto } = this.contactForm.dataset;
+
+        this.backend = endpoint
+            ? new FetchSubmissionBackend({ endpoint, encoding })
+            : null;
+        this.fallbackBackend = mailto
+            ? new MailtoSubmissionBackend({ address: mailto })
+            : null;
+    }
+
+    setupValidation() {
+        Object.keys(this.validators).forEach(name => {
+            const field = this.contactForm.elements[name];
+            if (!field) return;
+
+            const error = document.createElement('span');
+            error.className = 'form-error';
+            error.id = `${name}-error`;
+            error.setAttribute('aria-live', 'polite');
+            field.parentElement.appendChild(error);
+            field.setAttribute('aria-describedby', error.id);
+            this.onDestroy(() => {
+                error.remove();
+                field.removeAttribute('aria-describedby');
+            });
+
+            this.listen(field, 'blur', () => {
+                if (field.value.trim() !== '') this.validateField(field);
+            });
+            this.listen(field, 'input', () => {
+                if (field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+        });
+    }
+
+    bindEvents() {
+        this.listen(this.contactForm, 'submit', (e) => this.handleSubmit(e));
+        this.listen(window, 'online', () => this.flushQueue());
+        // The fill time is measured from the first interaction, not from page load
+        const start = () => {
+            if (this.startedAt === null) this.startedAt = Date.now();
+        };
+        this.listen(this.contactForm, 'input', start);
+        this.listen(this.contactForm, 'focusin', start);
+        // Re-word any errors on show in the new language
+        this.listen(document, 'localechange', () => {
+            this.contactForm.querySelectorAll('[aria-invalid="true"]').forEach(field => this.validateField(field));
+        });
+    }
+
+    setupFloatingLabels() {
+        const formGroups = this.contactForm.querySelectorAll('.form-group');
+        
+        formGroups.forEach(group => {
+            const input = group.querySelector('input, textarea');
+            const label = group.querySelector('label');
+            
+            if (input && label) {
+                // Check if input has value on load
+                if (input.value.trim() !== '') {
+                    label.style.transform = 'translateY(-20px)';
+                    label.style.fontSize = '0.875rem';
+                    label.style.color = 'var(--primary-color)';
+                }
+
+                this.listen(input, 'focus', () => {
+                    label.style.transform = 'translateY(-20px)';
+                    label.style.fontSize = '0.875rem';
+                    label.style.color = 'var(--primary-color)';
+                });
+
+                this.listen(input, 'blur', () => {
+                    if (input.value.trim() === '') {
+                        label.style.transform = 'translateY(0)';
+                        label.style.fontSize = '1rem';
+                        label.style.color = 'var(--text-secondary)';
+                    }
+                });
+            }
+        });
+    }
+
+    validateField(field) {
+        const result = this.validators[field.name](field.value.trim());
+        const message = result === true ? '' : result;
+        const error = document.getElementById(`${field.name}-error`);
+
+        field.setAttribute('aria-invalid', String(message !== ''));
+        field.closest('.form-group').classList.toggle('has-error', message !== '');
+        if (error) error.textContent = message;
+
+        return message === '';
+    }
+
+    validateForm() {
+        const invalid = Object.keys(this.validators)
+            .map(name => this.contactForm.elements[name])
+            .filter(field => field && !this.validateField(field));
+
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return false;
+        }
+
+        return true;
+    }
+
+    getFormData() {
+        const data = {};
+        Object.keys(this.validators).forEach(name => {
+            const field = this.contactForm.elements[name];
+            data[name] = field ? field.value.trim() : '';
+        });
+        return data;
+    }
+
+    // Honeypot filled in, or submitted without anyone focusing or typing in the form
+    isLikelySpam() {
+        const honeypot = this.contactForm.elements.website;
+        if (honeypot && honeypot.value !== '') return true;
+        return this.startedAt === null;
+    }
+
+    // Completed faster than a person could type
+    isTooQuick() {
+        return this.startedAt !== null && Date.now() - this.startedAt < this.minFillTime;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (!this.validateForm()) return;
+
+        // Someone really did type here, so ask them to resend instead of dropping it
+        if (this.isTooQuick()) {
+            this.notify(i18n.t('form.notifications.tooQuick'), { severity: 'warning' });
+            return;
+        }
+        
+        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+        
+        // Show loading state
+        submitBtn.innerHTML = this.buttonState('fa-spinner fa-spin', 'form.sending');
+        submitBtn.disabled = true;
+        
+        try {
+            const status = await this.deliver(this.getFormData());
+            
+            // Success state
+            submitBtn.innerHTML = status === 'queued'
+                ? this.buttonState('fa-clock', 'form.queued')
+                : this.buttonState('fa-check', 'form.sent');
+            submitBtn.style.background = 'var(--accent-color)';
+            
+            // Reset form
+            this.contactForm.reset();
+            this.startedAt = null;
+            
+            if (status === 'queued') {
+                this.notify(i18n.t('form.notifications.offline'), { severity: 'warning' });
+            } else if (status === 'mailto') {
+                this.notify(i18n.t('form.notifications.mailto'), { severity: 'success' });
+            } else {
+                this.notify(i18n.t('form.notifications.sent'), { severity: 'success' });
+            }
+            
+        } catch (error) {
+            // Error state
+            submitBtn.innerHTML = this.buttonState('fa-times', 'form.failed');
+            submitBtn.style.background = 'var(--secondary-color)';
+            
+            this.notify(i18n.t('form.notifications.failed'), { severity: 'error' });
+        }
+        
+        // Reset button after 3 seconds
+        setTimeout(() => {
+            submitBtn.innerHTML = originalText;
+            i18n.translate(submitBtn);
+            submitBtn.disabled = false;
+            submitBtn.style.background = '';
+        }, 3000);
+    }
+
+    buttonState(icon, key) {
+        return `<i class="fas ${icon}"></i> <span data-i18n="${key}">${utils.escapeHTML(i18n.t(key))}</span>`;
+    }
+
+    // Resolves with 'sent', 'queued', 'mailto' or 'dropped'; rejects when delivery failed
+    async deliver(data) {
+        if (this.isLikelySpam()) {
+            // Pretend it worked so bots get no signal
+            return 'dropped';
+        }
+
+        if (!this.backend) {
+            if (!this.fallbackBackend) throw new SubmissionError('No submission backend configured');
+            await this.fallbackBackend.send(data);
+            return 'mailto';
+        }
+
+        if (!navigator.onLine) {
+            this.enqueue(data);
+            return 'queued';
+        }
+
+        try {
+            await this.sendWithRetry(data);
+            return 'sent';
+        } catch (error) {
+            if (error.retryable) {
+                // Still unreachable after retries - keep it for later
+                this.enqueue(data);
+                return 'queued';
+            }
+            if (this.fallbackBackend) {
+                await this.fallbackBackend.send(data);
+                return 'mailto';
+            }
+            throw error;
+        }
+    }
+
+    async sendWithRetry(data) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.backend.send(data);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.maxAttempts) throw error;
+
+                // Exponential backoff with a little jitter
+                const delay = this.retryDelay * Math.pow(2, attempt - 1) * (1 + Math.random() * 0.2);
+                await new Promise(resolve => {
+                    const timer = setTimeout(() => {
+                        this.retryTimers.delete(timer);
+                        resolve();
+                    }, delay);
+                    this.retryTimers.add(timer);
+                });
+            }
+        }
+    }
+
+    readQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(this.queueKey) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeQueue(queue) {
+        try {
+            if (queue.length === 0) {
+                localStorage.removeItem(this.queueKey);
+            } else {
+                localStorage.setItem(this.queueKey, JSON.stringify(queue));
+            }
+        } catch (error) {
+            console.error('Unable to persist contact queue:', error);
+        }
+    }
+
+    enqueue(data) {
+        const queue = this.readQueue();
+        queue.push({ ...data, queuedAt: new Date().toISOString() });
+        this.writeQueue(queue);
+    }
+
+    // Re-reads the stored queue so messages queued while a flush was sending are kept
+    dequeue(entry) {
+        const key = JSON.stringify(entry);
+        const queue = this.readQueue();
+        const index = queue.findIndex(candidate => JSON.stringify(candidate) === key);
+        if (index !== -1) queue.splice(index, 1);
+        this.writeQueue(queue);
+    }
+
+    async flushQueue() {
+        if (!this.backend || this.flushing || !navigator.onLine) return;
+
+        const queue = this.readQueue();
+        if (queue.length === 0) return;
+
+        this.flushing = true;
+        let sent = 0;
+
+        for (const entry of queue) {
+            const { queuedAt, ...data } = entry;
+            try {
+                await this.sendWithRetry(data);
+                sent++;
+                this.dequeue(entry);
+            } catch (error) {
+                // Permanently rejected messages are dropped, transient failures wait for the next flush
+                if (!error.retryable) {
+                    console.error('Queued contact message rejected:', error);
+                    this.dequeue(entry);
+                }
+            }
+        }
+
+        this.flushing = false;
+
+        if (sent > 0) {
+            this.notify(i18n.t('form.notifications.flushed', { count: sent }), { severity: 'success' });
+        }
+    }
+}
+
+// Copy Buttons
+// Buttons with data-copy put that text on the clipboard; data-copy-label names
+// it in the confirmation toast
+class ClipboardController extends Component {
+    constructor() {
+        super();
+        this.init();
+    }
+
+    init() {
+        this.listen(document, 'click', (e) => {
+            const button = e.target.closest('[data-copy]');
+            if (button) this.copy(button.dataset.copy, button.dataset.copyLabel);
+        });
+    }
+
+    async copy(text, label = i18n.t('clipboard.text')) {
+        if (await utils.copyText(text)) {
+            this.notify(i18n.t('clipboard.copied', { label }), { severity: 'success', duration: 3000 });
+        } else {
+            this.notify(i18n.t('clipboard.failed', { label, text }), { severity: 'warning', duration: 8000 });
+        }
+    }
+}
+
+// Back to Top Button
+class BackToTopButton extends Component {
+    constructor() {
+        super();
+        this.button = document.getElementById('backToTop');
+        this.init();
+    }
+
+    init() {
+        if (this.button) {
+            this.bindEvents();
+            this.handleScroll();
+        }
+    }
+
+    bindEvents() {
+        this.listen(this.button, 'click', () => this.scrollToTop());
+        this.on('scroll:update', ({ y }) => this.handleScroll(y));
+    }
+
+    scrollToTop() {
+        window.scrollTo({
+            top: 0,
+            behavior: motionPreference.isReduced() ? 'auto' : 'smooth'
+        });
+    }
+
+    handleScroll(scrollY = window.scrollY) {
+        if (scrollY > 500) {
+            this.button.classList.add('show');
+        } else {
+            this.button.classList.remove('show');
+        }
+    }
+}
+
+// Loading Screen
+class LoadingScreen extends Component {
+    constructor() {
+        super();
+        this.createLoadingScreen();
+    }
+
+    createLoadingScreen() {
+        const loadingHTML = `
+            <div class="loading" id="loading">
+                <div class="spinner"></div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('afterbegin', loadingHTML);
+        this.loadingElement = document.getElementById('loading');
+        
+        // Hide loading screen after page loads
+        this.listen(window, 'load', () => {
+            setTimeout(() => this.hideLoading(), 1000);
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.loadingElement) this.loadingElement.remove();
+    }
+
+    hideLoading() {
+        if (this.loadingElement) {
+            this.loadingElement.classList.add('hide');
+            setTimeout(() => this.loadingElement.remove(), 500);
+        }
+    }
+}
+
+// Gear System for Background Effect
+// Gears are laid out as meshing trains: every gear in a train shares one module
+// (pitch diameter per tooth), neighbours sit at the sum of their pitch radii, and
+// each gear turns at the driver's speed scaled by the tooth ratio, alternating
+// direction along the chain. The layout is deterministic for a given seed.
+class GearSystem extends Component {
+    constructor(options = {}) {
+        super();
+        this.seed = options.seed ?? 1979;
+        this.module = options.module ?? 4;
+        this.canvas = this.createCanvas();
+        this.ctx = this.canvas.getContext('2d');
+        this.trains = [];
+        this.gears = [];
+        this.mouse = { x: 0, y: 0 };
+        this.dpr = window.devicePixelRatio || 1;
+        this.frameId = null;
+
+        // Frame pacing: cap the frame rate, and lower it while frames run over budget
+        this.maxFPS = 30;
+        this.minFPS = 15;
+        this.targetFPS = this.maxFPS;
+        this.frameBudget = 8;
+        this.averageFrameCost = 0;
+        this.framesSinceAdjust = 0;
+        this.lastFrameTime = 0;
+
+        this.updateColor();
+        
+        this.init();
+    }
+
+    createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+            z-index: -1;
+            opacity: 0.4;
+        `;
+        document.body.appendChild(canvas);
+        return canvas;
+    }
+
+    init() {
+        this.resize();
+        this.bindEvents();
+        this.start();
+    }
+
+    updateColor() {
+        this.colorRGB = utils.cssVar('--primary-color-rgb') || '0, 212, 255';
+    }
+
+    bindEvents() {
+        this.listen(window, 'resize', utils.debounce(() => this.resize(), 150));
+        this.listen(document, 'themechange', () => {
+            this.updateColor();
+            this.invalidateSprites();
+            if (!this.frameId) this.draw();
+        });
+        this.listen(document, 'motionchange', () => {
+            if (motionPreference.isReduced()) {
+                this.stop();
+                this.draw();
+            } else {
+                this.start();
+            }
+        });
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+        this.listen(window, 'mousemove', (e) => {
+            this.mouse.x = e.clientX;
+            this.mouse.y = e.clientY;
+        });
+    }
+
+    // Gear sizes are in pixels, so a new viewport size gets a new layout from
+    // the same seed rather than a rescaled one that could overlap or spill out
+    resize() {
+        const sizeChanged = window.innerWidth !== this.width || window.innerHeight !== this.height;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+
+        const dpr = window.devicePixelRatio || 1;
+        if (dpr !== this.dpr) {
+            this.dpr = dpr;
+            this.invalidateSprites();
+        }
+
+        this.canvas.width = Math.round(this.width * this.dpr);
+        this.canvas.height = Math.round(this.height * this.dpr);
+
+        if (sizeChanged) this.createGears();
+
+        if (!this.frameId) this.draw();
+    }
+
+    createGears() {
+        const gearCount = Math.floor(this.width / 150) + Math.floor(this.height / 150);
+
+        this.trains = GearSystem.buildLayout({
+            width: this.width,
+            height: this.height,
+            trainCount: Math.max(2, Math.round(gearCount / 4)),
+            seed: this.seed,
+            module: this.module
+        });
+        this.gears = this.trains.flatMap(train => train.gears);
+    }
+
+    // Generate gear trains without touching the DOM, so layouts can be
+    // reproduced and inspected from a seed alone
+    static buildLayout({ width, height, trainCount, seed, module = 4, minTeeth = 10, maxTeeth = 24 }) {
+        const random = utils.seededRandom(seed);
+        const between = (min, max) => min + random() * (max - min);
+        const pickTeeth = () => minTeeth + Math.floor(random() * (maxTeeth - minTeeth + 1));
+        const placed = [];
+        const trains = [];
+
+        // Centres stay on the canvas, and gears that don't mesh keep at least a
+        // tooth height of clearance
+        const fits = (x, y, radius, partner) => (
+            x >= 0 && x <= width && y >= 0 && y <= height &&
+            placed.every(other => {
+                if (other === partner) return true;
+                const clearance = radius + other.radius + module * 2 + 8;
+                return Math.hypot(x - other.x, y - other.y) >= clearance;
+            })
+        );
+
+        for (let t = 0; t < trainCount; t++) {
+            const train = {
+                nx: between(0.05, 0.95),
+                ny: between(0.05, 0.95),
+                angle: 0,
+                speed: between(0.004, 0.012) * (random() < 0.5 ? -1 : 1),
+                opacity: between(0.1, 0.4),
+                strokeWidth: between(0.5, 2),
+                gears: []
+            };
+            const anchorX = train.nx * width;
+            const anchorY = train.ny * height;
+            const length = 3 + Math.floor(random() * 3);
+            let heading = random() * Math.PI * 2;
+
+            const driverTeeth = pickTeeth();
+            const driver = {
+                teeth: driverTeeth,
+                radius: module * driverTeeth / 2,
+                ratio: 1,
+                phase: random() * Math.PI * 2
+            };
+            if (!fits(anchorX, anchorY, driver.radius)) continue;
+            driver.x = anchorX;
+            driver.y = anchorY;
+            train.gears.push(driver);
+            placed.push(driver);
+
+            for (let i = 1; i < length; i++) {
+                const previous = train.gears[i - 1];
+                let next = null;
+
+                for (let attempt = 0; attempt < 8 && !next; attempt++) {
+                    const teeth = pickTeeth();
+                    const radius = module * teeth / 2;
+                    const angle = heading + between(-Math.PI / 3, Math.PI / 3);
+                    const distance = previous.radius + radius;
+                    const x = previous.x + Math.cos(angle) * distance;
+                    const y = previous.y + Math.sin(angle) * distance;
+
+                    if (fits(x, y, radius, previous)) {
+                        next = { teeth, radius, x, y, angle };
+                    }
+                }
+
+                if (!next) break;
+
+                heading = next.angle;
+                const gear = {
+                    teeth: next.teeth,
+                    radius: next.radius,
+                    x: next.x,
+                    y: next.y,
+                    // Meshing gears turn in opposite directions, inversely to their tooth counts
+                    ratio: -previous.ratio * previous.teeth / next.teeth,
+                    phase: GearSystem.meshPhase(previous, next.teeth, next.angle)
+                };
+                train.gears.push(gear);
+                placed.push(gear);
+            }
+
+            train.gears.forEach(gear => {
+                gear.opacity = train.opacity;
+                gear.strokeWidth = train.strokeWidth;
+                gear.rotation = gear.phase;
+                gear.sprite = null;
+            });
+            trains.push(train);
+        }
+
+        return trains;
+    }
+
+    // Rotation for a gear of the given tooth count so that, along the line of
+    // centres, a tooth of the driving gear sits in one of its gaps. Tooth k of a
+    // gear is centred at rotation + (k + 0.5) * pitch angle, gaps at k * pitch angle.
+    static meshPhase(driving, teeth, angle) {
+        const drivingStep = (Math.PI * 2) / driving.teeth;
+        const step = (Math.PI * 2) / teeth;
+        const toothOffset = (angle - driving.phase) / drivingStep;
+        const gapOffset = 0.5 - toothOffset;
+        return angle + Math.PI - gapOffset * step;
+    }
+
+    invalidateSprites() {
+        this.gears.forEach(gear => {
+            gear.sprite = null;
+        });
+    }
+
+    // Render a gear's outline once into an offscreen canvas at device resolution.
+    // Teeth reach one module beyond the pitch circle and one module inside it.
+    createSprite(gear) {
+        const { radius, teeth, opacity, strokeWidth } = gear;
+        const addendum = this.module;
+        const extent = radius + addendum + strokeWidth;
+        const size = Math.ceil(extent * 2 * this.dpr) + 2;
+
+        const sprite = document.createElement('canvas');
+        sprite.width = size;
+        sprite.height = size;
+
+        const ctx = sprite.getContext('2d');
+        ctx.scale(this.dpr, this.dpr);
+        ctx.translate(size / this.dpr / 2, size / this.dpr / 2);
+        
+        // Draw gear outline
+        ctx.beginPath();
+        ctx.strokeStyle = `rgba(${this.colorRGB}, ${opacity})`;
+        ctx.lineWidth = strokeWidth;
+        
+        const rootRadius = radius - addendum;
+        const tipRadius = radius + addendum;
+        const angleStep = (Math.PI * 2) / teeth;
+        const point = (angle, r) => [Math.cos(angle) * r, Math.sin(angle) * r];
+        
+        for (let i = 0; i < teeth; i++) {
+            // Trapezoidal tooth centred at (i + 0.5) steps, narrower at the tip
+            const base = i * angleStep;
+            const profile = [
+                point(base + angleStep * 0.2, rootRadius),
+                point(base + angleStep * 0.35, tipRadius),
+                point(base + angleStep * 0.65, tipRadius),
+                point(base + angleStep * 0.8, rootRadius)
+            ];
+            
+            if (i === 0) {
+                ctx.moveTo(...profile[0]);
+            }
+            
+            profile.forEach(([x, y]) => ctx.lineTo(x, y));
+        }
+        
+        ctx.closePath();
+        ctx.stroke();
+        
+        // Draw inner circle
+        ctx.beginPath();
+        ctx.arc(0, 0, radius * 0.3, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        // Draw center dot
+        ctx.beginPath();
+        ctx.arc(0, 0, radius * 0.1, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(${this.colorRGB}, ${opacity * 1.5})`;
+        ctx.fill();
+
+        return { canvas: sprite, size: size / this.dpr };
+    }
+
+    drawGear(gear) {
+        if (!gear.sprite) gear.sprite = this.createSprite(gear);
+
+        const { canvas, size } = gear.sprite;
+        const cos = Math.cos(gear.rotation) * this.dpr;
+        const sin = Math.sin(gear.rotation) * this.dpr;
+
+        this.ctx.setTransform(cos, sin, -sin, cos, gear.x * this.dpr, gear.y * this.dpr);
+        this.ctx.drawImage(canvas, -size / 2, -size / 2, size, size);
+    }
+
+    // Redraw the current frame without advancing rotation
+    draw() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.gears.forEach(gear => this.drawGear(gear));
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    start() {
+        if (this.frameId || document.hidden || motionPreference.isReduced()) {
+            if (!this.frameId) this.draw();
+            return;
+        }
+
+        this.lastFrameTime = performance.now();
+        this.frameId = requestAnimationFrame((time) => this.animate(time));
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.stop();
+        this.canvas.remove();
+    }
+
+    // Advance each train's driver by elapsed time (speeds are per 60 fps frame)
+    // and derive every gear's rotation from it, so the train stays in mesh
+    update(delta) {
+        const step = delta / (1000 / 60);
+
+        this.trains.forEach((train) => {
+            let speedMultiplier = 1;
+            
+            // Mouse interaction - the gear nearest the mouse speeds up the whole train
+            const distance = Math.min(...train.gears.map(gear => Math.hypot(this.mouse.x - gear.x, this.mouse.y - gear.y)));
+            
+            if (distance < 150) {
+                speedMultiplier += (150 - distance) / 150 * 3 + 1;
+            }
+
+            train.angle += train.speed * speedMultiplier * step;
+            train.gears.forEach(gear => {
+                gear.rotation = gear.phase + train.angle * gear.ratio;
+            });
+        });
+    }
+
+    // Drop to a lower frame rate when drawing runs over budget, recover when it's cheap again
+    adaptFrameRate(cost) {
+        this.averageFrameCost = this.averageFrameCost * 0.9 + cost * 0.1;
+        this.framesSinceAdjust++;
+
+        if (this.framesSinceAdjust < 30) return;
+
+        if (this.averageFrameCost > this.frameBudget && this.targetFPS > this.minFPS) {
+            this.targetFPS = Math.max(this.minFPS, this.targetFPS - 5);
+            this.framesSinceAdjust = 0;
+        } else if (this.averageFrameCost < this.frameBudget / 2 && this.targetFPS < this.maxFPS) {
+            this.targetFPS = Math.min(this.maxFPS, this.targetFPS + 5);
+            this.framesSinceAdjust = 0;
+        }
+    }
+
+    animate(time) {
+        this.frameId = requestAnimationFrame((nextTime) => this.animate(nextTime));
+
+        const elapsed = time - this.lastFrameTime;
+        // Small tolerance so a 60 Hz display doesn't skip every other 30 fps frame
+        if (elapsed < 1000 / this.targetFPS - 2) return;
+
+        // Clamp long gaps (e.g. after a stall) so gears don't jump
+        this.lastFrameTime = time;
+        this.update(Math.min(elapsed, 100));
+
+        const drawStart = performance.now();
+        this.draw();
+        this.adaptFrameRate(performance.now() - drawStart);
+    }
+}
+
+// Experience Timeline
+// Parses each entry's date range into months and draws a proportional time
+// axis above the timeline: one bar per entry, in lanes so overlapping roles
+// sit side by side, with the gaps between them marked. Entries can be filtered
+// by type ("type" in content.json, or guessed from the title) and their
+// achievements expand and collapse. The total time covered, with overlaps
+// counted once, feeds the hero's [data-stat="experience"] counter.
+class TimelineController extends Component {
+    constructor(content = null) {
+        super();
+        this.experience = content ? content.experience : [];
+        this.types = ['research', 'industry', 'internship'];
+        this.filter = 'all';
+        this.init();
+    }
+
+    init() {
+        this.timeline = document.querySelector('.experience .timeline');
+        if (!this.timeline) return;
+
+        // Without a parsed range (e.g. content.json failed to load) the static stat stays
+        this.collectEntries();
+        if (this.entries.length === 0) return;
+
+        this.updateExperienceStat();
+        this.createControls();
+        this.enhanceItems();
+        this.renderAxis();
+
+        this.listen(document, 'localechange', () => {
+            this.updateExperienceStat();
+            this.renderAxis();
+            this.updateToggles();
+        });
+    }
+
+    inferType(item) {
+        if (/intern/i.test(item.title)) return 'internship';
+        if (/research|postdoc|phd|doctoral|graduate|scientist/i.test(item.title)) return 'research';
+        return 'industry';
+    }
+
+    // Months are counted as indexes (year * 12 + month); ranges include their end month
+    collectEntries() {
+        const now = new Date();
+        const items = this.timeline.querySelectorAll('.timeline-item');
+
+        this.entries = this.experience.map((item, index) => {
+            const range = utils.parseMonthRange(item.date);
+            const element = items[index];
+            if (!range || !element) return null;
+
+            const end = range.end || now;
+            return {
+                ...item,
+                index,
+                element,
+                type: item.type || this.inferType(item),
+                ongoing: !range.end,
+                start: range.start.getFullYear() * 12 + range.start.getMonth(),
+                end: end.getFullYear() * 12 + end.getMonth() + 1
+            };
+        }).filter(Boolean);
+    }
+
+    // Overlapping ranges merged, so shared months are only counted once
+    mergeRanges(entries) {
+        return [...entries]
+            .sort((a, b) => a.start - b.start)
+            .reduce((merged, entry) => {
+                const last = merged[merged.length - 1];
+                if (last && entry.start <= last.end) {
+                    last.end = Math.max(last.end, entry.end);
+                } else {
+                    merged.push({ start: entry.start, end: entry.end });
+                }
+                return merged;
+            }, []);
+    }
+
+    totalMonths(entries) {
+        return this.mergeRanges(entries).reduce((sum, range) => sum + range.end - range.start, 0);
+    }
+
+    formatDuration(months) {
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        const unit = (value, name) => i18n.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+
+        if (years === 0) return unit(rest, 'month');
+        return rest === 0 ? unit(years, 'year') : `${unit(years, 'year')} ${unit(rest, 'month')}`;
+    }
+
+    // Whole years, so "6+" stays true until the seventh year is complete
+    updateExperienceStat() {
+        const years = Math.floor(this.totalMonths(this.entries) / 12);
+
+        document.querySelectorAll('.stat-number[data-stat="experience"]').forEach(stat => {
+            stat.dataset.i18nNumber = years;
+            stat.textContent = i18n.formatNumber(years) + (stat.dataset.suffix || '');
+        });
+    }
+
+    createControls() {
+        const counts = new Map();
+        this.entries.forEach(entry => counts.set(entry.type, (counts.get(entry.type) || 0) + 1));
+
+        const controls = document.createElement('div');
+        controls.className = 'timeline-controls';
+        controls.innerHTML = `
+            <div class="filter-toolbar">
+                <div class="filter-mode" role="group" data-i18n-attr="aria-label:experience.filterByType">
+                    <button type="button" class="filter-mode-btn active" data-timeline-type="all" aria-pressed="true" data-i18n="experience.types.all"></button>
+                    ${this.types.filter(type => counts.has(type)).map(type => `
+                    <button type="button" class="filter-mode-btn" data-timeline-type="${type}" aria-pressed="false">
+                        <span data-i18n="experience.types.${type}"></span>
+                        <span class="filter-count">${counts.get(type)}</span>
+                    </button>`).join('')}
+                </div>
+                <button type="button" class="filter-clear" data-timeline-action="expand" aria-pressed="false"></button>
+            </div>
+            <div class="timeline-axis" data-i18n-attr="aria-label:experience.axis" role="group">
+                <div class="timeline-track"></div>
+                <div class="timeline-ticks" aria-hidden="true"></div>
+            </div>
+            <p class="timeline-total" aria-live="polite"></p>
+        `;
+        i18n.translate(controls);
+        this.timeline.insertAdjacentElement('beforebegin', controls);
+        this.onDestroy(() => controls.remove());
+
+        this.controls = controls;
+        this.track = controls.querySelector('.timeline-track');
+        this.ticks = controls.querySelector('.timeline-ticks');
+        this.totalElement = controls.querySelector('.timeline-total');
+        this.expandAllButton = controls.querySelector('[data-timeline-action="expand"]');
+
+        this.listen(controls, 'click', (e) => {
+            const typeButton = e.target.closest('[data-timeline-type]');
+            if (typeButton) this.setFilter(typeButton.dataset.timelineType);
+
+            const bar = e.target.closest('.timeline-bar');
+            if (bar) this.goToEntry(Number(bar.dataset.entry));
+
+            if (e.target.closest('[data-timeline-action="expand"]')) {
+                this.setAllExpanded(this.expandAllButton.getAttribute('aria-pressed') !== 'true');
+            }
+        });
+    }
+
+    // Achievements start collapsed behind a toggle
+    enhanceItems() {
+        this.entries.forEach((entry, index) => {
+            entry.element.dataset.type = entry.type;
+
+            const achievements = entry.element.querySelector('.timeline-achievements');
+            if (!achievements) return;
+
+            achievements.id = achievements.id || `timeline-achievements-${index}`;
+            achievements.hidden = true;
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'timeline-toggle';
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.setAttribute('aria-controls', achievements.id);
+            toggle.innerHTML = '<i class="fas fa-chevron-down" aria-hidden="true"></i><span></span>';
+            achievements.insertAdjacentElement('beforebegin', toggle);
+
+            entry.achievements = achievements;
+            entry.toggle = toggle;
+            this.listen(toggle, 'click', () => this.setExpanded(entry, achievements.hidden));
+        });
+
+        this.updateToggles();
+        this.onDestroy(() => this.entries.forEach(entry => {
+            if (!entry.toggle) return;
+            entry.toggle.remove();
+            entry.achievements.hidden = false;
+        }));
+    }
+
+    setExpanded(entry, expanded) {
+        if (!entry.toggle) return;
+
+        entry.achievements.hidden = !expanded;
+        entry.element.classList.toggle('expanded', expanded);
+        this.updateToggles();
+    }
+
+    setAllExpanded(expanded) {
+        this.entries.forEach(entry => this.setExpanded(entry, expanded));
+    }
+
+    updateToggles() {
+        this.entries.forEach(entry => {
+            if (!entry.toggle) return;
+
+            const expanded = !entry.achievements.hidden;
+            const count = entry.achievements.querySelectorAll('.achievement').length;
+            entry.toggle.setAttribute('aria-expanded', String(expanded));
+            entry.toggle.querySelector('span').textContent = expanded
+                ? i18n.t('experience.hideAchievements')
+                : i18n.t('experience.showAchievements', { count });
+        });
+
+        if (!this.expandAllButton) return;
+        const withToggles = this.entries.filter(entry => entry.toggle);
+        const allExpanded = withToggles.length > 0 && withToggles.every(entry => !entry.achievements.hidden);
+        this.expandAllButton.setAttribute('aria-pressed', String(allExpanded));
+        this.expandAllButton.textContent = i18n.t(allExpanded ? 'experience.collapseAll' : 'experience.expandAll');
+    }
+
+    setFilter(type) {
+        this.filter = type === 'all' || this.types.includes(type) ? type : 'all';
+
+        this.controls.querySelectorAll('[data-timeline-type]').forEach(button => {
+            const isActive = button.dataset.timelineType === this.filter;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.entries.forEach(entry => {
+            entry.element.hidden = !this.matches(entry);
+        });
+        this.renderAxis();
+        this.emit('timeline:filter', { type: this.filter });
+    }
+
+    matches(entry) {
+        return this.filter === 'all' || entry.type === this.filter;
+    }
+
+    // Greedy lane assignment: each entry takes the first lane that is free by its start
+    assignLanes(entries) {
+        const laneEnds = [];
+        const lanes = new Map();
+
+        [...entries].sort((a, b) => a.start - b.start || b.end - a.end).forEach(entry => {
+            let lane = laneEnds.findIndex(end => end <= entry.start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = entry.end;
+            lanes.set(entry, lane);
+        });
+
+        return { lanes, count: laneEnds.length };
+    }
+
+    renderAxis() {
+        const esc = utils.escapeHTML;
+        const first = Math.min(...this.entries.map(entry => entry.start));
+        const last = Math.max(...this.entries.map(entry => entry.end));
+        const span = Math.max(last - first, 1);
+        const percent = months => `${((months / span) * 100).toFixed(3)}%`;
+        const { lanes, count } = this.assignLanes(this.entries);
+        const visible = this.entries.filter(entry => this.matches(entry));
+
+        const bars = this.entries.map(entry => {
+            const range = i18n.formatRange(entry.date);
+            const duration = this.formatDuration(entry.end - entry.start);
+            const label = i18n.t('experience.barLabel', { title: entry.title, company: entry.company, range, duration });
+            return `
+                <button type="button" class="timeline-bar${this.matches(entry) ? '' : ' is-filtered'}" data-entry="${entry.index}" data-type="${entry.type}"
+                        style="--start: ${percent(entry.start - first)}; --span: ${percent(entry.end - entry.start)}; --lane: ${lanes.get(entry)}"
+                        aria-label="${esc(label)}" title="${esc(label)}">
+                    <span class="timeline-bar-label">${esc(entry.company.split('|')[0].trim())}</span>
+                </button>
+            `;
+        }).join('');
+
+        // Gaps between the visible entries, so a filter shows its own breaks
+        const merged = this.mergeRanges(visible);
+        const gaps = merged.slice(1).map((range, index) => {
+            const gapStart = merged[index].end;
+            return `
+                <div class="timeline-gap" style="--start: ${percent(gapStart - first)}; --span: ${percent(range.start - gapStart)}">
+                    <span>${esc(i18n.t('experience.gap', { duration: this.formatDuration(range.start - gapStart) }))}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.track.style.setProperty('--lanes', count);
+        this.track.innerHTML = gaps + bars;
+
+        // A tick per January, thinned out on long careers
+        const firstYear = Math.ceil(first / 12);
+        const lastYear = Math.floor(last / 12);
+        const step = lastYear - firstYear > 10 ? 2 : 1;
+        const ticks = [];
+        for (let year = firstYear; year <= lastYear; year += step) {
+            ticks.push(`<span style="--start: ${percent(year * 12 - first)}">${esc(i18n.formatNumber(year, { useGrouping: false }))}</span>`);
+        }
+        this.ticks.innerHTML = ticks.join('');
+
+        this.totalElement.textContent = i18n.t('experience.total', { duration: this.formatDuration(this.totalMonths(visible)) });
+    }
+
+    // Scroll to an entry by its index in content.json (also used by the command
+    // palette), clearing a filter that hides it. Returns false for unknown entries.
+    goToEntry(index) {
+        const entry = (this.entries || []).find(candidate => candidate.index === index);
+        if (!entry) return false;
+        if (!this.matches(entry)) this.setFilter('all');
+        this.setExpanded(entry, true);
+
+        const navbar = document.getElementById('navbar');
+        utils.scrollToElement(entry.element, navbar ? navbar.offsetHeight : 80);
+        if (!entry.element.hasAttribute('tabindex')) entry.element.setAttribute('tabindex', '-1');
+        entry.element.focus({ preventScroll: true });
+        return true;
+    }
+
+    destroy() {
+        super.destroy();
+        (this.entries || []).forEach(entry => {
+            entry.element.hidden = false;
+        });
+    }
+}
+
+// Project Filter System
+class ProjectFilter extends Component {
+    constructor() {
+        super();
+        this.projectsSection = document.querySelector('.projects .container');
+        this.projects = Array.from(document.querySelectorAll('.project-card'));
+        this.activeTags = new Set();
+        this.matchMode = 'any';
+        this.searchQuery = '';
+
+        this.init();
+    }
+
+    init() {
+        if (!this.projectsSection || this.projects.length === 0) return;
+
+        this.indexProjects();
+        this.createFilterButtons();
+        this.bindEvents();
+        this.updateStatus(this.projectData.length);
+    }
+
+    // Read tags and searchable text once from the markup
+    indexProjects() {
+        this.tagCounts = new Map();
+
+        this.projectData = this.projects.map(project => {
+            const tags = Array.from(project.querySelectorAll('.tech-tag'))
+                .map(tag => tag.textContent.trim())
+                .filter(Boolean);
+            const title = project.querySelector('.project-title');
+            const description = project.querySelector('.project-description');
+
+            tags.forEach(tag => {
+                this.tagCounts.set(tag, (this.tagCounts.get(tag) || 0) + 1);
+            });
+
+            return {
+                element: project,
+                tags: new Set(tags),
+                text: [title, description]
+                    .map(el => (el ? el.textContent : ''))
+                    .join(' ')
+                    .replace(/\s+/g, ' ')
+                    .toLowerCase()
+            };
+        });
+    }
+
+    createFilterButtons() {
+        const filterContainer = document.createElement('div');
+        filterContainer.className = 'project-filters';
+        filterContainer.innerHTML = `
+            <div class="filter-toolbar">
+                <div class="filter-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" class="filter-search-input" data-i18n-attr="placeholder:filters.searchPlaceholder, aria-label:filters.search">
+                </div>
+                <div class="filter-mode" role="group" data-i18n-attr="aria-label:filters.matchMode">
+                    <button type="button" class="filter-mode-btn active" data-mode="any" aria-pressed="true" data-i18n="filters.anyTag"></button>
+                    <button type="button" class="filter-mode-btn" data-mode="all" aria-pressed="false" data-i18n="filters.allTags"></button>
+                </div>
+                <button type="button" class="filter-clear" data-i18n="filters.clear"></button>
+            </div>
+            <div class="filter-chips" role="group" data-i18n-attr="aria-label:filters.byTechnology"></div>
+            <p class="filter-status" aria-live="polite"></p>
+        `;
+        i18n.translate(filterContainer);
+
+        const chipContainer = filterContainer.querySelector('.filter-chips');
+
+        // Most used tags first, then alphabetical
+        const sortedTags = Array.from(this.tagCounts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+        sortedTags.forEach(([tag, count]) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-btn';
+            chip.dataset.filter = tag;
+            chip.setAttribute('aria-pressed', 'false');
+
+            const label = document.createElement('span');
+            label.textContent = tag;
+            const badge = document.createElement('span');
+            badge.className = 'filter-count';
+            badge.textContent = count;
+
+            chip.append(label, badge);
+            chipContainer.appendChild(chip);
+        });
+
+        this.noResults = document.createElement('p');
+        this.noResults.className = 'projects-empty';
+        i18n.bind(this.noResults, 'filters.noResults');
+        this.noResults.hidden = true;
+
+        const sectionHeader = this.projectsSection.querySelector('.section-header');
+        const grid = this.projectsSection.querySelector('.projects-grid');
+        if (sectionHeader) {
+            sectionHeader.insertAdjacentElement('afterend', filterContainer);
+        } else {
+            this.projectsSection.prepend(filterContainer);
+        }
+        if (grid) {
+            grid.insertAdjacentElement('afterend', this.noResults);
+        }
+
+        this.filterContainer = filterContainer;
+        this.searchInput = filterContainer.querySelector('.filter-search-input');
+        this.statusElement = filterContainer.querySelector('.filter-status');
+    }
+
+    bindEvents() {
+        const filterButtons = this.filterContainer.querySelectorAll('.filter-btn');
+        
+        filterButtons.forEach(button => {
+            button.addEventListener('click', () => this.handleFilter(button));
+        });
+
+        this.filterContainer.querySelectorAll('.filter-mode-btn').forEach(button => {
+            button.addEventListener('click', () => this.setMatchMode(button.dataset.mode));
+        });
+
+        this.searchInput.addEventListener('input', utils.debounce(() => {
+            this.searchQuery = this.searchInput.value.trim().toLowerCase();
+            this.applyFilters();
+        }, 150));
+
+        this.filterContainer.querySelector('.filter-clear')
+            .addEventListener('click', () => this.clearFilters());
+    }
+
+    handleFilter(activeButton) {
+        const tag = activeButton.dataset.filter;
+
+        if (this.activeTags.has(tag)) {
+            this.activeTags.delete(tag);
+        } else {
+            this.activeTags.add(tag);
+        }
+
+        const isActive = this.activeTags.has(tag);
+        activeButton.classList.toggle('active', isActive);
+        activeButton.setAttribute('aria-pressed', String(isActive));
+
+        this.applyFilters();
+    }
+
+    setMatchMode(mode) {
+        this.matchMode = mode === 'all' ? 'all' : 'any';
+
+        this.filterContainer.querySelectorAll('.filter-mode-btn').forEach(button => {
+            const isActive = button.dataset.mode === this.matchMode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.applyFilters();
+    }
+
+    clearFilters() {
+        this.activeTags.clear();
+        this.searchQuery = '';
+        this.searchInput.value = '';
+
+        this.filterContainer.querySelectorAll('.filter-btn').forEach(button => {
+            button.classList.remove('active');
+            button.setAttribute('aria-pressed', 'false');
+        });
+
+        this.applyFilters();
+    }
+
+    // Show only the projects with this tag (used by the command palette)
+    showTag(tag) {
+        this.clearFilters();
+        const button = Array.from(this.filterContainer.querySelectorAll('.filter-btn'))
+            .find(candidate => candidate.dataset.filter === tag);
+        if (button) this.handleFilter(button);
+    }
+
+    matches(project) {
+        if (this.searchQuery) {
+            const terms = this.searchQuery.split(/\s+/);
+            if (!terms.every(term => project.text.includes(term))) return false;
+        }
+
+        if (this.activeTags.size === 0) return true;
+
+        const selected = Array.from(this.activeTags);
+        return this.matchMode === 'all'
+            ? selected.every(tag => project.tags.has(tag))
+            : selected.some(tag => project.tags.has(tag));
+    }
+
+    applyFilters() {
+        let visibleCount = 0;
+
+        this.projectData.forEach(project => {
+            const shouldShow = this.matches(project);
+            project.element.style.display = shouldShow ? '' : 'none';
+
+            if (shouldShow) {
+                project.element.style.animation = `fadeIn 0.5s ease ${Math.min(visibleCount, 10) * 0.05}s both`;
+                visibleCount++;
+            }
+        });
+
+        this.updateStatus(visibleCount);
+    }
+
+    updateStatus(visibleCount) {
+        const total = this.projectData.length;
+        const isFiltered = this.activeTags.size > 0 || this.searchQuery !== '';
+
+        this.noResults.hidden = visibleCount > 0;
+        if (isFiltered) {
+            i18n.bind(this.statusElement, 'filters.showing', { visible: visibleCount, total });
+        } else {
+            i18n.bind(this.statusElement, 'filters.total', { count: total });
+        }
+    }
+
+    // The filter controls own their listeners, so removing them is enough
+    destroy() {
+        super.destroy();
+        if (!this.filterContainer) return;
+
+        this.filterContainer.remove();
+        this.noResults.remove();
+        this.projectData.forEach(project => {
+            project.element.style.display = '';
+            project.element.style.animation = '';
+        });
+    }
+}
+
+// Skills Explorer
+// Adds a bar / radar view toggle and sorting to the skills section, and links
+// each skill to the projects that use it. A skill uses a project tag when one
+// of the names in the skill ("Abaqus / Abaqus-CAE (UMAT)" gives Abaqus,
+// Abaqus-CAE and UMAT) is a whole word of the tag, when the tag is a whole word
+// of the skill, or when content.json lists the tag under the skill's "tags".
+// Clicking a linked skill highlights its project cards.
+class SkillsExplorer extends Component {
+    constructor(content = null, { getCharts = () => null } = {}) {
+        super();
+        this.categories = content ? content.skills : [];
+        this.projects = content ? content.projects : [];
+        this.getCharts = getCharts;
+        this.view = 'bars';
+        this.sortBy = 'level';
+        this.activeSkill = null;
+        this.radarCanvases = [];
+        this.init();
+    }
+
+    // Looked up on use, so a restarted chart controller is picked up
+    get charts() {
+        return typeof Chart !== 'undefined' ? this.getCharts() : null;
+    }
+
+    init() {
+        this.grid = document.querySelector('.skills-grid');
+        if (!this.grid || this.categories.length === 0) return;
+
+        this.collectSkills();
+        this.createToolbar();
+        this.enhanceItems();
+        this.sort();
+
+        this.listen(document, 'localechange', () => {
+            this.updateCounts();
+            this.updateStatus();
+            if (this.view === 'radar') this.renderRadar();
+        });
+    }
+
+    // Rendered items line up with content.json, category by category
+    collectSkills() {
+        this.skills = [];
+        this.grid.querySelectorAll('.skill-category').forEach((categoryElement, categoryIndex) => {
+            const category = this.categories[categoryIndex];
+            if (!category) return;
+
+            categoryElement.querySelectorAll('.skill-item').forEach((element, index) => {
+                const skill = category.skills[index];
+                if (!skill) return;
+
+                this.skills.push({
+                    ...skill,
+                    element,
+                    category,
+                    categoryElement,
+                    projectIds: this.projects
+                        .filter(project => project.tags.some(tag => this.usesTag(skill, tag)))
+                        .map(project => project.id)
+                });
+            });
+        });
+    }
+
+    aliases(name) {
+        return name.toLowerCase()
+            .split(/[/,&()]/)
+            .map(part => part.trim())
+            .filter(part => part.length > 1);
+    }
+
+    containsWord(text, word) {
+        const pattern = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${pattern}($|[^a-z0-9])`).test(text);
+    }
+
+    usesTag(skill, tag) {
+        const normalized = tag.toLowerCase();
+        if ((skill.tags || []).some(extra => extra.toLowerCase() === normalized)) return true;
+
+        return this.containsWord(skill.name.toLowerCase(), normalized)
+            || this.aliases(skill.name).some(alias => this.containsWord(normalized, alias));
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'skills-toolbar';
+        toolbar.innerHTML = `
+            <div class="filter-toolbar">
+                ${this.charts ? `
+                <div class="filter-mode" role="group" data-i18n-attr="aria-label:skills.view">
+                    <button type="button" class="filter-mode-btn active" data-view="bars" aria-pressed="true">
+                        <i class="fas fa-bars" aria-hidden="true"></i> <span data-i18n="skills.bars"></span>
+                    </button>
+                    <button type="button" class="filter-mode-btn" data-view="radar" aria-pressed="false">
+                        <i class="fas fa-chart-area" aria-hidden="true"></i> <span data-i18n="skills.radar"></span>
+                    </button>
+                </div>` : ''}
+                <label class="skills-sort">
+                    <span data-i18n="skills.sortBy"></span>
+                    <select class="skills-sort-select">
+                        <option value="level" data-i18n="skills.sortLevel"></option>
+                        <option value="name" data-i18n="skills.sortName"></option>
+                    </select>
+                </label>
+            </div>
+            <p class="skills-status" aria-live="polite" hidden>
+                <span class="skills-status-text"></span>
+                <button type="button" class="filter-clear" data-skills-action="view" data-i18n="skills.viewProjects"></button>
+                <button type="button" class="filter-clear" data-skills-action="clear" data-i18n="skills.clearHighlight"></button>
+            </p>
+        `;
+        i18n.translate(toolbar);
+        this.grid.insertAdjacentElement('beforebegin', toolbar);
+        this.onDestroy(() => toolbar.remove());
+
+        this.toolbar = toolbar;
+        this.status = toolbar.querySelector('.skills-status');
+
+        this.listen(toolbar, 'click', (e) => {
+            const viewButton = e.target.closest('[data-view]');
+            if (viewButton) this.setView(viewButton.dataset.view);
+
+            const action = e.target.closest('[data-skills-action]');
+            if (action && action.dataset.skillsAction === 'view') this.showProjects();
+            if (action && action.dataset.skillsAction === 'clear') this.highlight(null);
+        });
+        this.listen(toolbar.querySelector('.skills-sort-select'), 'change', (e) => this.setSort(e.target.value));
+    }
+
+    // Each item gets a related-project count; linked skills become toggle buttons
+    enhanceItems() {
+        this.skills.forEach(skill => {
+            const name = skill.element.querySelector('.skill-name');
+            const header = document.createElement('div');
+            header.className = 'skill-header';
+            name.replaceWith(header);
+
+            skill.badge = document.createElement('span');
+            skill.badge.className = 'skill-projects';
+
+            if (skill.projectIds.length > 0) {
+                skill.button = document.createElement('button');
+                skill.button.type = 'button';
+                skill.button.className = 'skill-link';
+                skill.button.setAttribute('aria-pressed', 'false');
+                skill.button.append(name, skill.badge);
+                header.appendChild(skill.button);
+                this.listen(skill.button, 'click', () => this.highlight(skill));
+            } else {
+                header.append(name, skill.badge);
+            }
+        });
+
+        this.updateCounts();
+    }
+
+    updateCounts() {
+        this.skills.forEach(skill => {
+            skill.badge.textContent = i18n.t('skills.relatedProjects', { count: skill.projectIds.length });
+        });
+    }
+
+    setSort(sortBy) {
+        this.sortBy = sortBy === 'name' ? 'name' : 'level';
+        this.toolbar.querySelector('.skills-sort-select').value = this.sortBy;
+        this.sort();
+        if (this.view === 'radar') this.renderRadar();
+    }
+
+    compare(a, b) {
+        const byName = a.name.localeCompare(b.name, i18n.locale);
+        return this.sortBy === 'name' ? byName : b.level - a.level || byName;
+    }
+
+    // Items are moved rather than re-rendered, so bar animations keep their state
+    sort() {
+        [...this.skills]
+            .sort((a, b) => this.compare(a, b))
+            .forEach(skill => skill.categoryElement.appendChild(skill.element));
+    }
+
+    setView(view) {
+        this.view = view === 'radar' && this.charts ? 'radar' : 'bars';
+
+        this.toolbar.querySelectorAll('[data-view]').forEach(button => {
+            const isActive = button.dataset.view === this.view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        this.grid.hidden = this.view === 'radar';
+        if (this.view === 'radar') {
+            this.renderRadar();
+        } else if (this.radar) {
+            this.radar.hidden = true;
+        }
+    }
+
+    // One chart per category; radar needs three axes, so smaller categories get bars
+    renderRadar() {
+        if (!this.radar) {
+            this.radar = document.createElement('div');
+            this.radar.className = 'skills-radar';
+            this.grid.insertAdjacentElement('afterend', this.radar);
+            this.onDestroy(() => this.radar.remove());
+        }
+
+        this.clearRadar();
+        this.radar.hidden = false;
+
+        this.categories.forEach(category => {
+            const skills = this.skills.filter(skill => skill.category === category).sort((a, b) => this.compare(a, b));
+            if (skills.length === 0) return;
+
+            const card = document.createElement('div');
+            card.className = 'chart-card';
+            const canvas = document.createElement('canvas');
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', i18n.t('skills.radarLabel', { category: category.name }));
+            card.appendChild(canvas);
+            this.radar.appendChild(card);
+
+            this.radarCanvases.push(canvas);
+            this.charts.render(canvas, {
+                type: skills.length >= 3 ? 'radar' : 'bar',
+                title: category.name,
+                unit: '%',
+                // Parenthesised detail is dropped to keep the axis labels short
+                labels: skills.map(skill => skill.name.replace(/\s*\(.*\)\s*$/, '')),
+                datasets: [{ label: i18n.t('skills.proficiency'), data: skills.map(skill => skill.level) }]
+            });
+        });
+    }
+
+    clearRadar() {
+        const charts = this.charts;
+        if (charts) this.radarCanvases.forEach(canvas => charts.destroyChart(canvas));
+        this.radarCanvases = [];
+        if (this.radar) this.radar.innerHTML = '';
+    }
+
+    // Toggle the highlight for a skill's projects; null clears it
+    highlight(skill) {
+        this.activeSkill = skill && skill !== this.activeSkill ? skill : null;
+        const ids = new Set(this.activeSkill ? this.activeSkill.projectIds : []);
+
+        this.skills.forEach(candidate => {
+            const isActive = candidate === this.activeSkill;
+            candidate.element.classList.toggle('active', isActive);
+            if (candidate.button) candidate.button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        const projectsGrid = document.querySelector('.projects-grid');
+        if (projectsGrid) projectsGrid.classList.toggle('has-skill-match', Boolean(this.activeSkill));
+        document.querySelectorAll('.project-card[data-project-id]').forEach(card => {
+            card.classList.toggle('skill-match', ids.has(card.dataset.projectId));
+        });
+
+        this.updateStatus();
+        this.emit('skills:highlight', { skill: this.activeSkill ? this.activeSkill.name : null, projects: Array.from(ids) });
+    }
+
+    updateStatus() {
+        this.status.hidden = !this.activeSkill;
+        if (!this.activeSkill) return;
+
+        this.status.querySelector('.skills-status-text').textContent = i18n.t('skills.highlighting', {
+            count: this.activeSkill.projectIds.length,
+            skill: this.activeSkill.name
+        });
+    }
+
+    // Filters could be hiding some of the matches, so they are cleared first
+    showProjects() {
+        const cards = Array.from(document.querySelectorAll('.project-card.skill-match'));
+        if (cards.length === 0) return;
+
+        const filter = kernel.get('projectFilter');
+        if (filter && cards.some(card => card.style.display === 'none')) filter.clearFilters();
+
+        const navbar = document.getElementById('navbar');
+        utils.scrollToElement(cards[0], navbar ? navbar.offsetHeight : 80);
+        cards[0].focus({ preventScroll: true });
+    }
+
+    destroy() {
+        if (this.activeSkill) this.highlight(null);
+        if (this.radar) this.clearRadar();
+        if (this.grid) this.grid.hidden = false;
+        (this.skills || []).forEach(skill => {
+            const header = skill.element.querySelector('.skill-header');
+            if (header) header.replaceWith(skill.element.querySelector('.skill-name'));
+        });
+        super.destroy();
+    }
+}
+
+// Project Detail Modal
+class ProjectModal extends Component {
+    constructor(projects = [], { getCharts = () => null, imageLoader = null } = {}) {
+        super();
+        this.projects = new Map(projects.map(project => [project.id, project]));
+        this.getCharts = getCharts;
+        this.imageLoader = imageLoader;
+        this.hashPrefix = '#project/';
+        this.current = null;
+        this.images = [];
+        this.imageIndex = 0;
+        this.zoomed = false;
+        this.returnFocus = null;
+        this.pushedState = false;
+
+        this.init();
+    }
+
+    // Null while the chart controller isn't running
+    get charts() {
+        return this.getCharts();
+    }
+
+    init() {
+        if (this.projects.size === 0) return;
+
+        this.createModal();
+        this.enhanceCards();
+        this.bindEvents();
+        this.syncWithHash();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'project-modal';
+        modal.hidden = true;
+        modal.innerHTML = `
+            <div class="modal-backdrop" data-modal-close></div>
+            <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="project-modal-title" tabindex="-1">
+                <button type="button" class="modal-close" data-i18n-attr="aria-label:modal.close" data-modal-close>
+                    <i class="fas fa-times"></i>
+                </button>
+                <div class="modal-gallery" aria-roledescription="carousel" data-i18n-attr="aria-label:modal.images">
+                    <div class="gallery-viewport">
+                        <img class="gallery-image" alt="">
+                    </div>
+                    <button type="button" class="gallery-nav gallery-prev" data-i18n-attr="aria-label:modal.previous">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="gallery-nav gallery-next" data-i18n-attr="aria-label:modal.next">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <p class="gallery-caption" aria-live="polite"></p>
+                    <div class="gallery-thumbs"></div>
+                </div>
+                <div class="modal-body">
+                    <h3 class="modal-title" id="project-modal-title"></h3>
+                    <div class="modal-details"></div>
+                    <div class="project-tech modal-tags"></div>
+                    <div class="project-metrics modal-metrics"></div>
+                    <div class="modal-chart chart-card" hidden></div>
+                </div>
+            </div>
+        `;
+        i18n.translate(modal);
+
+        document.body.appendChild(modal);
+
+        this.modal = modal;
+        this.dialog = modal.querySelector('.modal-dialog');
+        this.gallery = modal.querySelector('.modal-gallery');
+        this.viewport = modal.querySelector('.gallery-viewport');
+        this.image = modal.querySelector('.gallery-image');
+        this.caption = modal.querySelector('.gallery-caption');
+        this.thumbs = modal.querySelector('.gallery-thumbs');
+    }
+
+    // Make cards reachable and operable from the keyboard
+    enhanceCards() {
+        document.querySelectorAll('.project-card[data-project-id]').forEach(card => {
+            const title = card.querySelector('.project-title');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('role', 'button');
+            card.setAttribute('aria-haspopup', 'dialog');
+            if (title) card.setAttribute('aria-label', i18n.t('projects.viewDetails', { title: title.textContent.trim() }));
+        });
+    }
+
+    bindEvents() {
+        const grid = document.querySelector('.projects-grid');
+        if (grid) {
+            this.listen(grid, 'click', (e) => {
+                const card = e.target.closest('.project-card[data-project-id]');
+                if (card) this.openFromCard(card);
+            });
+            this.listen(grid, 'keydown', (e) => {
+                const card = e.target.closest('.project-card[data-project-id]');
+                if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.openFromCard(card);
+                }
+            });
+        }
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-modal-close]')) this.requestClose();
+        });
+        this.modal.querySelector('.gallery-prev').addEventListener('click', () => this.showImage(this.imageIndex - 1));
+        this.modal.querySelector('.gallery-next').addEventListener('click', () => this.showImage(this.imageIndex + 1));
+        this.thumbs.addEventListener('click', (e) => {
+            const thumb = e.target.closest('[data-index]');
+            if (thumb) this.showImage(Number(thumb.dataset.index));
+        });
+
+        this.image.addEventListener('click', (e) => this.toggleZoom(e));
+        this.viewport.addEventListener('mousemove', (e) => this.panZoom(e));
+        this.dialog.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.bindSwipe();
+
+        this.listen(window, 'popstate', () => this.syncWithHash());
+        this.listen(window, 'hashchange', () => this.syncWithHash());
+        this.listen(document, 'localechange', () => this.enhanceCards());
+    }
+
+    bindSwipe() {
+        let startX = null;
+        let startY = null;
+
+        this.viewport.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1 || this.zoomed) return;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+        }, { passive: true });
+
+        this.viewport.addEventListener('touchend', (e) => {
+            if (startX === null) return;
+            const dx = e.changedTouches[0].clientX - startX;
+            const dy = e.changedTouches[0].clientY - startY;
+            startX = null;
+
+            // Horizontal swipes only, so vertical scrolling of the dialog still works
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                this.showImage(this.imageIndex + (dx < 0 ? 1 : -1));
+            }
+        });
+    }
+
+    openFromCard(card) {
+        const id = card.dataset.projectId;
+        if (!this.projects.has(id)) return;
+
+        this.returnFocus = card;
+        history.pushState({ projectId: id }, '', `${this.hashPrefix}${id}`);
+        this.pushedState = true;
+        this.open(id);
+    }
+
+    // Back/forward and direct links drive the modal through the URL hash
+    syncWithHash() {
+        let hash;
+        try {
+            hash = decodeURIComponent(window.location.hash);
+        } catch (error) {
+            // Malformed escapes such as #%E0 can't name a project
+            hash = '';
+        }
+        const id = hash.startsWith(this.hashPrefix) ? hash.slice(this.hashPrefix.length) : null;
+
+        if (id && this.projects.has(id)) {
+            if (!this.current || this.current.id !== id) this.open(id);
+        } else if (this.current) {
+            this.pushedState = false;
+            this.close();
+        }
+    }
+
+    requestClose() {
+        if (this.pushedState) {
+            // Let popstate close the modal so the history stays consistent
+            history.back();
+        } else {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            this.close();
+        }
+    }
+
+    open(id) {
+        const project = this.projects.get(id);
+        this.current = project;
+
+        if (!this.returnFocus) {
+            // A link elsewhere on the page (e.g. the workflow diagram) keeps focus on close
+            const active = document.activeElement;
+            this.returnFocus = active && active !== document.body
+                ? active
+                : document.querySelector(`.project-card[data-project-id="${id}"]`);
+        }
+
+        this.renderProject(project);
+        this.modal.hidden = false;
+        document.body.classList.add('modal-open');
+        requestAnimationFrame(() => this.modal.classList.add('open'));
+        this.dialog.focus();
+    }
+
+    close() {
+        this.current = null;
+        this.clearChart();
+        this.setZoom(false);
+        this.modal.classList.remove('open');
+        this.modal.hidden = true;
+        document.body.classList.remove('modal-open');
+
+        if (this.returnFocus) {
+            this.returnFocus.focus();
+            this.returnFocus = null;
+        }
+    }
+
+    renderProject(project) {
+        const esc = utils.escapeHTML;
+
+        this.dialog.querySelector('.modal-title').textContent = project.title;
+        this.dialog.querySelector('.modal-details').innerHTML = (project.details || [project.description])
+            .map(paragraph => `<p>${esc(paragraph)}</p>`)
+            .join('');
+        this.dialog.querySelector('.modal-tags').innerHTML = project.tags
+            .map(tag => `<span class="tech-tag">${esc(tag)}</span>`)
+            .join('');
+
+        const metrics = this.dialog.querySelector('.modal-metrics');
+        metrics.hidden = !project.metrics || project.metrics.length === 0;
+        metrics.innerHTML = (project.metrics || []).map(metric => `
+            <div class="metric">
+                <span class="metric-value">${esc(metric.value)}</span>
+                <span class="metric-label">${esc(metric.label)}</span>
+            </div>
+        `).join('');
+
+        this.renderChart(project);
+
+        this.images = this.collectImages(project);
+        this.gallery.hidden = this.images.length === 0;
+        this.gallery.classList.toggle('single', this.images.length < 2);
+        this.thumbs.innerHTML = this.images.length > 1
+            ? this.images.map((image, index) => `
+                <button type="button" class="gallery-thumb" data-index="${index}" data-i18n-attr="aria-label:modal.showImage" data-i18n-params="${esc(JSON.stringify({ index: index + 1, total: this.images.length }))}">
+                    <img src="${esc(image.src)}" alt="">
+                </button>
+            `).join('')
+            : '';
+        i18n.translate(this.thumbs);
+
+        if (this.imageLoader) {
+            this.thumbs.querySelectorAll('img').forEach(img => this.imageLoader.enhance(img, { sizes: '72px' }));
+        }
+
+        this.showImage(0);
+    }
+
+    renderChart(project) {
+        const container = this.dialog.querySelector('.modal-chart');
+        this.clearChart();
+
+        container.hidden = !(project.chart && this.charts);
+        if (container.hidden) return;
+
+        // A fresh canvas per project so Chart.js never reuses a stale context
+        const canvas = document.createElement('canvas');
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', project.chart.title || i18n.t('modal.chart', { title: project.title }));
+        container.appendChild(canvas);
+        this.chartCanvas = canvas;
+        this.charts.render(canvas, project.chart);
+    }
+
+    clearChart() {
+        if (this.chartCanvas) {
+            if (this.charts) this.charts.destroyChart(this.chartCanvas);
+            this.chartCanvas.remove();
+        }
+        this.chartCanvas = null;
+    }
+
+    // Card image first, then any extra gallery images not already included
+    collectImages(project) {
+        const images = [];
+        if (project.image) {
+            images.push({ src: project.image, alt: project.imageAlt || project.title, caption: '' });
+        }
+        (project.gallery || []).forEach(image => {
+            const existing = images.find(item => item.src === image.src);
+            if (existing) {
+                Object.assign(existing, image);
+            } else {
+                images.push({ caption: '', ...image });
+            }
+        });
+        return images;
+    }
+
+    showImage(index) {
+        if (this.images.length === 0) return;
+
+        this.imageIndex = (index + this.images.length) % this.images.length;
+        const image = this.images[this.imageIndex];
+
+        this.setZoom(false);
+        this.image.src = image.src;
+        this.image.alt = image.alt;
+        if (this.imageLoader) {
+            this.imageLoader.enhance(this.image, { sizes: '(max-width: 768px) 100vw, 960px', lazy: false });
+        }
+        this.caption.textContent = this.images.length > 1
+            ? `${image.caption ? image.caption + ' — ' : ''}${this.imageIndex + 1} / ${this.images.length}`
+            : image.caption;
+
+        this.thumbs.querySelectorAll('.gallery-thumb').forEach((thumb, thumbIndex) => {
+            const isActive = thumbIndex === this.imageIndex;
+            thumb.classList.toggle('active', isActive);
+            thumb.setAttribute('aria-current', String(isActive));
+        });
+    }
+
+    toggleZoom(e) {
+        this.setZoom(!this.zoomed);
+        if (this.zoomed) this.panZoom(e);
+    }
+
+    setZoom(zoomed) {
+        this.zoomed = zoomed;
+        this.viewport.classList.toggle('zoomed', zoomed);
+        if (!zoomed) this.image.style.transformOrigin = '';
+    }
+
+    panZoom(e) {
+        if (!this.zoomed || !e) return;
+        const rect = this.viewport.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const x = ((e.clientX - rect.left) / rect.width) * 100;
+        const y = ((e.clientY - rect.top) / rect.height) * 100;
+        this.image.style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.requestClose();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.showImage(this.imageIndex - 1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.showImage(this.imageIndex + 1);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll('button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.closest('[hidden]') && el.offsetParent !== null);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        if (!this.modal) return;
+
+        if (this.current) this.close();
+        this.modal.remove();
+    }
+}
+
+// Workflow Diagram
+// Each hero .flow-step (matched by data-stage to content.json "workflow") expands
+// into details and links to the projects tagged with that stage. Data travels
+// along the arrows step by step while the diagram is on screen.
+class WorkflowController extends Component {
+    constructor(content) {
+        super();
+        this.flow = document.querySelector('.first-principles-flow');
+        this.steps = this.flow ? Array.from(this.flow.querySelectorAll('.flow-step')) : [];
+        this.arrows = this.flow ? Array.from(this.flow.querySelectorAll('.flow-arrow')) : [];
+        this.stages = content ? content.workflow : [];
+        this.projects = content ? content.projects : [];
+        this.toggles = [];
+        this.expanded = -1;
+        this.timers = [];
+        this.stepInterval = 900;
+        this.loopPause = 1500;
+        this.inView = false;
+        this.init();
+    }
+
+    init() {
+        if (this.steps.length === 0) return;
+
+        this.steps.forEach((step, index) => this.enhanceStep(step, index));
+        this.arrows.forEach(arrow => {
+            const packet = document.createElement('span');
+            packet.className = 'data-packet';
+            packet.setAttribute('aria-hidden', 'true');
+            arrow.appendChild(packet);
+        });
+
+        this.bindEvents();
+    }
+
+    enhanceStep(step, index) {
+        const esc = utils.escapeHTML;
+        const id = step.dataset.stage;
+        const stage = this.stages.find(entry => entry.id === id);
+        const projects = this.projects.filter(project => (project.stages || []).includes(id));
+        const content = step.querySelector('.step-content');
+
+        if (!id || !content || (!stage && projects.length === 0)) return;
+
+        const panelId = `workflow-${id}`;
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'step-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', panelId);
+        toggle.innerHTML = `<span data-i18n="workflow.details"></span> <i class="fas fa-chevron-down" aria-hidden="true"></i>`;
+
+        const panel = document.createElement('div');
+        panel.className = 'step-details';
+        panel.id = panelId;
+        panel.hidden = true;
+        panel.innerHTML = `
+            ${stage ? `<ul class="step-detail-list">${stage.details.map(detail => `<li>${esc(detail)}</li>`).join('')}</ul>` : ''}
+            ${projects.length ? `
+                <p class="step-projects-label" data-i18n="workflow.relatedProjects" data-i18n-params='{"count": ${projects.length}}'></p>
+                <ul class="step-projects">
+                    ${projects.map(project => `<li><a href="#project/${esc(project.id)}">${esc(project.title)}</a></li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        i18n.translate(toggle);
+        i18n.translate(panel);
+
+        content.appendChild(toggle);
+        content.appendChild(panel);
+        step.classList.add('is-interactive');
+        this.toggles[index] = toggle;
+
+        this.listen(toggle, 'click', () => this.toggle(index));
+        this.listen(step, 'click', (e) => {
+            // The toggle handles its own clicks; links inside the details navigate
+            if (e.target.closest('.step-toggle, .step-details')) return;
+            this.toggle(index);
+        });
+        this.listen(toggle, 'keydown', (e) => this.handleKeydown(e, index));
+    }
+
+    bindEvents() {
+        if ('IntersectionObserver' in window) {
+            const observer = this.addObserver(new IntersectionObserver((entries) => {
+                this.inView = entries[0].isIntersecting;
+                if (this.inView) {
+                    this.startLoop();
+                } else {
+                    this.stopSequence();
+                }
+            }, { threshold: 0.2 }));
+            observer.observe(this.flow);
+        }
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.stopSequence();
+            } else {
+                this.startLoop();
+            }
+        });
+
+        this.listen(document, 'motionchange', () => {
+            if (this.expanded !== -1) {
+                this.playSequence(this.expanded);
+            } else if (motionPreference.isReduced()) {
+                this.stopSequence();
+                this.resetSteps();
+            } else {
+                this.startLoop();
+            }
+        });
+    }
+
+    // Arrow keys step through the workflow, opening each stage in turn
+    handleKeydown(e, index) {
+        const interactive = this.toggles
+            .map((toggle, i) => (toggle ? i : -1))
+            .filter(i => i !== -1);
+        const position = interactive.indexOf(index);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+                target = interactive[Math.min(position + 1, interactive.length - 1)];
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                target = interactive[Math.max(position - 1, 0)];
+                break;
+            case 'Home':
+                target = interactive[0];
+                break;
+            case 'End':
+                target = interactive[interactive.length - 1];
+                break;
+            case 'Escape':
+                if (this.expanded !== -1) {
+                    e.preventDefault();
+                    this.collapse();
+                }
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (target !== index) {
+            this.expand(target);
+            this.toggles[target].focus();
+        }
+    }
+
+    toggle(index) {
+        if (this.expanded === index) {
+            this.collapse();
+        } else {
+            this.expand(index);
+        }
+    }
+
+    expand(index) {
+        if (this.expanded !== -1) this.setExpanded(this.expanded, false);
+
+        this.expanded = index;
+        this.setExpanded(index, true);
+        this.playSequence(index);
+    }
+
+    collapse() {
+        if (this.expanded === -1) return;
+
+        this.setExpanded(this.expanded, false);
+        this.expanded = -1;
+        this.resetSteps();
+        this.startLoop();
+    }
+
+    setExpanded(index, expanded) {
+        const toggle = this.toggles[index];
+        if (!toggle) return;
+
+        toggle.setAttribute('aria-expanded', String(expanded));
+        document.getElementById(toggle.getAttribute('aria-controls')).hidden = !expanded;
+        this.steps[index].classList.toggle('expanded', expanded);
+    }
+
+    // Only loop while the diagram is visible and nothing is open
+    startLoop() {
+        if (!this.inView || document.hidden || this.expanded !== -1 || motionPreference.isReduced()) return;
+
+        this.playSequence(this.steps.length - 1, true);
+    }
+
+    // Move data from the first step to the target, one arrow at a time
+    playSequence(target, loop = false) {
+        this.stopSequence();
+        this.resetSteps();
+
+        if (motionPreference.isReduced()) {
+            for (let i = 0; i <= target; i++) this.steps[i].classList.add('is-reached');
+            this.steps[target].classList.add('is-active');
+            return;
+        }
+
+        for (let i = 0; i <= target; i++) {
+            this.schedule(() => {
+                if (i > 0) {
+                    this.steps[i - 1].classList.remove('is-active');
+                    this.arrows[i - 1]?.classList.remove('is-flowing');
+                }
+                this.steps[i].classList.add('is-active', 'is-reached');
+                // Send the packet down the arrow towards the next reached step
+                if (i < target) this.arrows[i]?.classList.add('is-flowing');
+            }, i * this.stepInterval);
+        }
+
+        if (loop) {
+            this.schedule(() => this.playSequence(target, true), (target + 1) * this.stepInterval + this.loopPause);
+        }
+    }
+
+    schedule(callback, delay) {
+        this.timers.push(setTimeout(callback, delay));
+    }
+
+    stopSequence() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.arrows.forEach(arrow => arrow.classList.remove('is-flowing'));
+    }
+
+    resetSteps() {
+        this.steps.forEach(step => step.classList.remove('is-active', 'is-reached'));
+    }
+
+    // Put the diagram back to its static markup
+    destroy() {
+        super.destroy();
+        this.stopSequence();
+        this.resetSteps();
+
+        this.toggles.forEach(toggle => {
+            if (!toggle) return;
+            document.getElementById(toggle.getAttribute('aria-controls')).remove();
+            toggle.remove();
+        });
+        this.steps.forEach(step => step.classList.remove('is-interactive', 'expanded'));
+        this.arrows.forEach(arrow => arrow.querySelector('.data-packet')?.remove());
+        this.toggles = [];
+        this.expanded = -1;
+    }
+}
+
+// Structured Data
+// Builds schema.org JSON-LD (a Person, their OrganizationRoles from the timeline
+// and a CreativeWork per project card) and the Open Graph / Twitter meta tags
+// from the rendered page. tools/prerender-seo.js runs this same code to write
+// the tags into index.html for crawlers that don't run JavaScript; in the
+// browser, prerendered tags are updated in place rather than duplicated.
+class StructuredData extends Component {
+    constructor() {
+        super();
+        this.scriptId = 'structured-data';
+        this.init();
+    }
+
+    init() {
+        this.apply(this.collect());
+    }
+
+    // The canonical link when there is one, so prerendered URLs don't depend on where the page was built
+    getSiteUrl() {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        return canonical ? canonical.href : `${window.location.origin}${window.location.pathname}`;
+    }
+
+    collect() {
+        const siteUrl = this.getSiteUrl();
+        const absolute = value => new URL(value, siteUrl).href;
+        const text = (root, selector) => {
+            const element = root.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+        const description = document.querySelector('meta[name="description"]');
+
+        // The title reads "Name | Job title | ..."
+        const [name, jobTitle] = document.title.split('|').map(part => part.trim());
+        const photo = document.querySelector('.profile-image');
+        const email = document.querySelector('a[href^="mailto:"]');
+        const profiles = Array.from(document.querySelectorAll('.hero-social a[href^="http"], .contact-details a[href^="http"]'))
+            .map(link => link.href);
+
+        const projects = Array.from(document.querySelectorAll('.project-card[data-project-id]')).map(card => {
+            const image = card.querySelector('.project-image img');
+            return {
+                id: card.dataset.projectId,
+                title: text(card, '.project-title'),
+                description: text(card, '.project-description'),
+                image: image ? absolute(image.getAttribute('src')) : null,
+                tags: Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim())
+            };
+        });
+
+        const roles = Array.from(document.querySelectorAll('.timeline-item')).map(item => {
+            // data-i18n-range keeps the original English range when the date is shown localized
+            const date = item.querySelector('.timeline-date');
+            const range = date ? utils.parseMonthRange(date.dataset.i18nRange || date.textContent) : null;
+            return {
+                title: text(item, '.timeline-title'),
+                company: text(item, '.timeline-company'),
+                description: text(item, '.timeline-description'),
+                start: range ? range.start : null,
+                end: range ? range.end : null
+            };
+        });
+
+        return {
+            siteUrl,
+            name,
+            jobTitle: jobTitle || '',
+            title: document.title,
+            description: description ? description.content : '',
+            image: photo ? absolute(photo.getAttribute('src')) : null,
+            imageAlt: photo ? photo.alt : '',
+            email: email ? email.getAttribute('href').slice('mailto:'.length) : null,
+            profiles: [...new Set(profiles)],
+            projects,
+            roles
+        };
+    }
+
+    // schema.org dates; month precision is all the timeline has
+    formatMonth(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    build(data) {
+        const personId = `${data.siteUrl}#person`;
+        const compact = object => Object.fromEntries(Object.entries(object).filter(([, value]) => (
+            value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+        )));
+
+        const person = compact({
+            '@type': 'Person',
+            '@id': personId,
+            name: data.name,
+            jobTitle: data.jobTitle,
+            description: data.description,
+            url: data.siteUrl,
+            image: data.image,
+            email: data.email ? `mailto:${data.email}` : null,
+            sameAs: data.profiles,
+            // The Role pattern: each role wraps the organization it is held at
+            worksFor: data.roles.map(role => compact({
+                '@type': 'OrganizationRole',
+                roleName: role.title,
+                description: role.description,
+                startDate: role.start ? this.formatMonth(role.start) : null,
+                endDate: role.end ? this.formatMonth(role.end) : null,
+                worksFor: { '@type': 'Organization', name: role.company }
+            }))
+        });
+
+        const works = data.projects.map(project => compact({
+            '@type': 'CreativeWork',
+            '@id': `${data.siteUrl}#project/${project.id}`,
+            url: `${data.siteUrl}#project/${project.id}`,
+            name: project.title,
+            description: project.description,
+            image: project.image,
+            keywords: project.tags.join(', '),
+            creator: { '@id': personId }
+        }));
+
+        return { '@context': 'https://schema.org', '@graph': [person, ...works] };
+    }
+
+    // [attribute, key, content] for each meta tag
+    buildMeta(data) {
+        return [
+            ['property', 'og:type', 'profile'],
+            ['property', 'og:url', data.siteUrl],
+            ['property', 'og:title', data.title],
+            ['property', 'og:description', data.description],
+            ['property', 'og:image', data.image],
+            ['property', 'og:image:alt', data.imageAlt],
+            ['name', 'twitter:card', 'summary'],
+            ['name', 'twitter:title', data.title],
+            ['name', 'twitter:description', data.description],
+            ['name', 'twitter:image', data.image]
+        ].filter(([, , content]) => content);
+    }
+
+    apply(data) {
+        this.elements = this.buildMeta(data).map(([attribute, key, content]) => {
+            let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+            if (!meta) {
+                meta = document.createElement('meta');
+                meta.setAttribute(attribute, key);
+                document.head.appendChild(meta);
+            }
+            meta.setAttribute('content', content);
+            return meta;
+        });
+
+        let script = document.getElementById(this.scriptId);
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = this.scriptId;
+            document.head.appendChild(script);
+        }
+        // "<" is escaped so a description can never close the script element
+        script.textContent = JSON.stringify(this.build(data), null, 4).replace(/</g, '\\u003c');
+        this.elements.push(script);
+    }
+}
+
+// Printable CV
+// Builds a résumé from the live page (profile, experience timeline, skills and
+// a chosen set of projects) into .cv-document, which the print stylesheet shows
+// in place of the site. It is rebuilt before every print, so Ctrl+P, the
+// "Generate CV" dialog and headless Chromium all get the current content:
+//   chromium --headless --no-pdf-header-footer --virtual-time-budget=10000 \
+//     --print-to-pdf=cv.pdf "https://example.com/?cv-projects=id-a,id-b&cv-layout=one-column"
+// The query parameters pick projects (or "all") and the layout for that load
+// without touching the visitor's saved choice.
+class CVBuilder extends Component {
+    constructor({ defaultProjects = 4 } = {}) {
+        super();
+        this.storageKey = 'cvOptions';
+        this.layouts = ['two-column', 'one-column'];
+        this.defaultProjects = defaultProjects;
+        this.returnFocus = null;
+        this.init();
+    }
+
+    init() {
+        this.options = this.readOptions();
+        this.createDocument();
+        this.createPanel();
+        this.render();
+
+        this.listen(window, 'beforeprint', () => this.render());
+        this.listen(document, 'localechange', () => {
+            this.render();
+            if (this.isOpen()) this.renderProjectList();
+        });
+        this.listen(document, 'click', (e) => {
+            const opener = e.target.closest('[data-cv-open]');
+            if (opener) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+    }
+
+    readOptions() {
+        const projectIds = Array.from(document.querySelectorAll('.project-card[data-project-id]'))
+            .map(card => card.dataset.projectId);
+        let options = { layout: this.layouts[0], projects: projectIds.slice(0, this.defaultProjects) };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && typeof stored === 'object') options = { ...options, ...stored };
+        } catch (error) {
+            // Unreadable or unavailable storage - keep the defaults
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('cv-layout')) options.layout = params.get('cv-layout');
+        if (params.has('cv-projects')) {
+            const requested = params.get('cv-projects');
+            options.projects = requested === 'all' ? projectIds : requested.split(',').map(id => id.trim());
+        }
+
+        return {
+            layout: this.layouts.includes(options.layout) ? options.layout : this.layouts[0],
+            // Ids of projects that are no longer on the page are dropped
+            projects: Array.isArray(options.projects) ? options.projects.filter(id => projectIds.includes(id)) : []
+        };
+    }
+
+    saveOptions() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.options));
+        } catch (error) {
+            // The CV options fall back to the defaults on the next visit
+        }
+    }
+
+    createDocument() {
+        this.cvDocument = document.createElement('article');
+        this.cvDocument.className = 'cv-document';
+        document.body.appendChild(this.cvDocument);
+        this.onDestroy(() => this.cvDocument.remove());
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'cv-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="palette-backdrop" data-cv-close></div>
+            <div class="cv-dialog" role="dialog" aria-modal="true" aria-labelledby="cv-panel-title">
+                <div class="shortcut-header">
+                    <h3 id="cv-panel-title" data-i18n="cv.generate"></h3>
+                    <button type="button" class="shortcut-close" data-cv-close data-i18n-attr="aria-label:cv.close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <p class="cv-intro" data-i18n="cv.intro"></p>
+                <fieldset class="cv-fieldset">
+                    <legend data-i18n="cv.layout"></legend>
+                    <label class="cv-option"><input type="radio" name="cv-layout" value="two-column"> <span data-i18n="cv.twoColumns"></span></label>
+                    <label class="cv-option"><input type="radio" name="cv-layout" value="one-column"> <span data-i18n="cv.oneColumn"></span></label>
+                </fieldset>
+                <fieldset class="cv-fieldset">
+                    <legend data-i18n="cv.chooseProjects"></legend>
+                    <div class="cv-select-actions">
+                        <button type="button" class="cv-select" data-cv-select="all" data-i18n="cv.selectAll"></button>
+                        <button type="button" class="cv-select" data-cv-select="none" data-i18n="cv.selectNone"></button>
+                    </div>
+                    <div class="cv-project-list"></div>
+                    <p class="cv-selected" aria-live="polite"></p>
+                </fieldset>
+                <div class="cv-actions">
+                    <button type="button" class="btn btn-secondary" data-cv-close data-i18n="cv.cancel"></button>
+                    <button type="button" class="btn btn-primary cv-print">
+                        <i class="fas fa-print" aria-hidden="true"></i>
+                        <span data-i18n="cv.print"></span>
+                    </button>
+                </div>
+            </div>
+        `;
+        i18n.translate(panel);
+        document.body.appendChild(panel);
+        this.onDestroy(() => panel.remove());
+
+        this.panel = panel;
+        this.dialog = panel.querySelector('.cv-dialog');
+        this.projectList = panel.querySelector('.cv-project-list');
+        this.selectedStatus = panel.querySelector('.cv-selected');
+
+        this.listen(panel, 'click', (e) => {
+            if (e.target.closest('[data-cv-close]')) {
+                this.close();
+                return;
+            }
+
+            const select = e.target.closest('[data-cv-select]');
+            if (select) this.selectAll(select.dataset.cvSelect === 'all');
+            if (e.target.closest('.cv-print')) this.print();
+        });
+        this.listen(panel, 'change', (e) => {
+            if (e.target.name === 'cv-layout') {
+                this.options.layout = e.target.value;
+            } else if (e.target.name === 'cv-project') {
+                this.options.projects = Array.from(this.projectList.querySelectorAll('input:checked'), input => input.value);
+                this.updateSelectedStatus();
+            }
+            this.saveOptions();
+            this.render();
+        });
+        this.listen(panel, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    }
+
+    isOpen() {
+        return !this.panel.hidden;
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.panel.querySelectorAll('input[name="cv-layout"]').forEach(input => {
+            input.checked = input.value === this.options.layout;
+        });
+        this.renderProjectList();
+
+        this.panel.hidden = false;
+        document.body.classList.add('modal-open');
+        this.panel.querySelector('input[name="cv-layout"]:checked').focus();
+    }
+
+    close(restoreFocus = true) {
+        if (!this.isOpen()) return;
+
+        this.panel.hidden = true;
+        document.body.classList.remove('modal-open');
+        if (restoreFocus && this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll('button:not([disabled]), input:not([disabled])'))
+            .filter(el => !(el.type === 'radio' && !el.checked));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    renderProjectList() {
+        const esc = utils.escapeHTML;
+        const selected = new Set(this.options.projects);
+
+        this.projectList.innerHTML = this.collect().projects.map(project => `
+            <label class="cv-option">
+                <input type="checkbox" name="cv-project" value="${esc(project.id)}"${selected.has(project.id) ? ' checked' : ''}>
+                <span>${esc(project.title)}</span>
+            </label>
+        `).join('');
+        this.updateSelectedStatus();
+    }
+
+    updateSelectedStatus() {
+        this.selectedStatus.textContent = i18n.t('cv.selected', { count: this.options.projects.length });
+    }
+
+    selectAll(checked) {
+        this.projectList.querySelectorAll('input[name="cv-project"]').forEach(input => {
+            input.checked = checked;
+        });
+        this.options.projects = checked ? this.collect().projects.map(project => project.id) : [];
+        this.updateSelectedStatus();
+        this.saveOptions();
+        this.render();
+    }
+
+    print() {
+        const returnFocus = this.returnFocus;
+        this.close(false);
+        this.render();
+        window.print();
+        if (returnFocus && returnFocus.focus) returnFocus.focus();
+    }
+
+    // Everything is read from the rendered page, so the CV shows what the site shows
+    collect() {
+        const text = (root, selector) => {
+            const element = root.querySelector(selector);
+            return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+        };
+        const education = document.querySelector('.highlight-item h4[data-i18n="about.education"]');
+
+        return {
+            name: text(document, '.hero-title .gradient-text'),
+            // The hero subtitle may still be mid-typewriter, so take it from the catalog
+            headline: i18n.t('hero.subtitle'),
+            summary: Array.from(document.querySelectorAll('.about-paragraph'), p => p.textContent.replace(/\s+/g, ' ').trim()),
+            contacts: Array.from(document.querySelectorAll('.contact-details a'), link => ({
+                href: link.getAttribute('href'),
+                label: link.textContent.trim()
+            })),
+            education: education
+                ? Array.from(education.parentElement.querySelectorAll('p'), p => p.textContent.trim())
+                : [],
+            experience: Array.from(document.querySelectorAll('.timeline-item'), item => ({
+                date: text(item, '.timeline-date'),
+                title: text(item, '.timeline-title'),
+                company: text(item, '.timeline-company'),
+                description: text(item, '.timeline-description'),
+                achievements: Array.from(item.querySelectorAll('.achievement'), achievement => achievement.textContent.replace(/^\s*•\s*/, '').trim())
+            })),
+            skills: Array.from(document.querySelectorAll('.skill-category'), category => ({
+                name: text(category, 'h3'),
+                skills: Array.from(category.querySelectorAll('.skill-item'), item => ({
+                    name: text(item, '.skill-name'),
+                    level: Number(item.querySelector('.skill-progress').dataset.progress)
+                }))
+            })),
+            projects: Array.from(document.querySelectorAll('.project-card[data-project-id]'), card => ({
+                id: card.dataset.projectId,
+                title: text(card, '.project-title'),
+                description: text(card, '.project-description'),
+                tags: Array.from(card.querySelectorAll('.tech-tag'), tag => tag.textContent.trim())
+            }))
+        };
+    }
+
+    render() {
+        const data = this.collect();
+        const esc = utils.escapeHTML;
+        const selected = new Set(this.options.projects);
+        const projects = data.projects.filter(project => selected.has(project.id));
+        const section = (key, body) => `
+            <section class="cv-section">
+                <h2>${esc(i18n.t(`cv.sections.${key}`))}</h2>
+                ${body}
+            </section>
+        `;
+
+        const summary = data.summary.length ? section('profile', data.summary.map(paragraph => `<p>${esc(paragraph)}</p>`).join('')) : '';
+
+        const experience = data.experience.length ? section('experience', data.experience.map(item => `
+            <div class="cv-entry">
+                <div class="cv-entry-header">
+                    <h3>${esc(item.title)}</h3>
+                    <span class="cv-date">${esc(item.date)}</span>
+                </div>
+                <p class="cv-company">${esc(item.company)}</p>
+                <p>${esc(item.description)}</p>
+                ${item.achievements.length ? `<ul>${item.achievements.map(achievement => `<li>${esc(achievement)}</li>`).join('')}</ul>` : ''}
+            </div>
+        `).join('')) : '';
+
+        const projectList = projects.length ? section('projects', projects.map(project => `
+            <div class="cv-entry">
+                <h3>${esc(project.title)}</h3>
+                <p>${esc(project.description)}</p>
+                <p class="cv-tags">${esc(project.tags.join(' · '))}</p>
+            </div>
+        `).join('')) : '';
+
+        const education = data.education.length ? section('education', `
+            <ul class="cv-plain">${data.education.map(line => `<li>${esc(line)}</li>`).join('')}</ul>
+        `) : '';
+
+        // Skill bars become numbers; a bar means nothing on paper
+        const skills = data.skills.length ? section('skills', data.skills.map(category => `
+            <div class="cv-skill-group">
+                <h3>${esc(category.name)}</h3>
+                <ul class="cv-plain">
+                    ${category.skills.map(skill => `
+                    <li class="cv-skill">
+                        <span>${esc(skill.name)}</span>
+                        <span class="cv-level">${esc(i18n.t('cv.level', { level: skill.level }))}</span>
+                    </li>`).join('')}
+                </ul>
+            </div>
+        `).join('')) : '';
+
+        this.cvDocument.className = `cv-document cv-${this.options.layout}`;
+        this.cvDocument.innerHTML = `
+            <header class="cv-header">
+                <h1>${esc(data.name)}</h1>
+                <p class="cv-headline">${esc(data.headline)}</p>
+                <ul class="cv-contact">
+                    ${data.contacts.map(contact => `<li><a href="${esc(contact.href)}">${esc(contact.label)}</a></li>`).join('')}
+                </ul>
+            </header>
+            <div class="cv-body">
+                <div class="cv-main">${summary}${experience}${projectList}</div>
+                <aside class="cv-side">${education}${skills}</aside>
+            </div>
+        `;
+    }
+}
+
+// Performance Metric Sinks
+// Each sink receives finished metrics as { name, value, rating, detail }
+class ConsoleMetricsSink {
+    report(metric) {
+        const value = metric.name === 'CLS' ? metric.value.toFixed(3) : `${Math.round(metric.value)}ms`;
+        console.log(`[perf] ${metric.name}: ${value}${metric.rating ? ` (${metric.rating})` : ''}`, metric.detail || '');
+    }
+}
+
+// POSTs metrics to an endpoint with sendBeacon, which survives page unload
+class BeaconMetricsSink {
+    constructor({ endpoint }) {
+        this.endpoint = endpoint;
+    }
+
+    report(metric) {
+        const body = JSON.stringify({ ...metric, page: window.location.pathname, timestamp: Date.now() });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+        fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+    }
+}
+
+// Sends metrics as events through the gtag.js setup in index.html
+class GtagMetricsSink {
+    report(metric) {
+        if (typeof window.gtag !== 'function') return;
+
+        window.gtag('event', metric.name, {
+            // GA event values are integers; CLS is reported in thousandths
+            value: Math.round(metric.name === 'CLS' ? metric.value * 1000 : metric.value),
+            metric_value: metric.value,
+            metric_rating: metric.rating,
+            non_interaction: true
+        });
+    }
+}
+
+// Performance Monitor
+// Collects Core Web Vitals, long tasks and large image timings with
+// PerformanceObserver. Sinks are chosen with data-perf-sink on <body> (a
+// comma-separated list of console, beacon and gtag; beacon posts to
+// data-perf-endpoint). ?perf=1 adds the console sink and a live overlay.
+// Image timings only go to the console sink and the overlay.
+class PerformanceMonitor extends Component {
+    constructor() {
+        super();
+        this.params = new URLSearchParams(window.location.search);
+        this.debug = this.params.get('perf') === '1';
+        this.values = {};
+        this.reported = new Set();
+        this.longTasks = { count: 0, blockingTime: 0 };
+        this.images = [];
+        this.largeImageBytes = 200 * 1024;
+
+        // [good, needs-improvement] upper bounds, from web.dev
+        this.thresholds = {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.configureSinks();
+        if (this.debug) this.createOverlay();
+
+        if ('PerformanceObserver' in window) {
+            this.measureTTFB();
+            this.observeFCP();
+            this.observeLCP();
+            this.observeCLS();
+            this.observeINP();
+            this.observeLongTasks();
+            this.observeImages();
+        }
+
+        // LCP, CLS, INP and long tasks are final once the page is hidden
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        this.listen(window, 'pagehide', () => this.flush());
+    }
+
+    configureSinks() {
+        const { perfSink = '', perfEndpoint } = document.body.dataset;
+        const names = new Set(perfSink.split(',').map(name => name.trim()).filter(Boolean));
+        if (this.debug) names.add('console');
+
+        this.sinks = [];
+        if (names.has('console')) this.sinks.push(new ConsoleMetricsSink());
+        if (names.has('beacon') && perfEndpoint) this.sinks.push(new BeaconMetricsSink({ endpoint: perfEndpoint }));
+        if (names.has('gtag')) this.sinks.push(new GtagMetricsSink());
+    }
+
+    // Observe an entry type if the browser supports it; returns the observer or null
+    observe(type, callback, options = {}) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return null;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            return this.addObserver(observer);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    rate(name, value) {
+        const [good, poor] = this.thresholds[name] || [];
+        if (good === undefined) return undefined;
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    update(name, value, detail) {
+        this.values[name] = { name, value, rating: this.rate(name, value), detail };
+        this.renderOverlay();
+    }
+
+    report(name) {
+        const metric = this.values[name];
+        if (!metric || this.reported.has(name)) return;
+
+        this.reported.add(name);
+        this.sinks.forEach(sink => sink.report(metric));
+    }
+
+    flush() {
+        ['LCP', 'CLS', 'INP'].forEach(name => this.report(name));
+
+        if (this.longTasks.count > 0 && !this.reported.has('TBT')) {
+            this.reported.add('TBT');
+            const metric = { name: 'TBT', value: this.longTasks.blockingTime, detail: { longTasks: this.longTasks.count } };
+            this.sinks.forEach(sink => sink.report(metric));
+        }
+    }
+
+    measureTTFB() {
+        this.observe('navigation', ([navigation]) => {
+            const start = navigation.activationStart || 0;
+            this.update('TTFB', Math.max(navigation.responseStart - start, 0));
+            this.report('TTFB');
+        });
+    }
+
+    observeFCP() {
+        const observer = this.observe('paint', entries => {
+            const entry = entries.find(paint => paint.name === 'first-contentful-paint');
+            if (!entry) return;
+
+            this.update('FCP', entry.startTime);
+            this.report('FCP');
+            observer.disconnect();
+        });
+    }
+
+    observeLCP() {
+        const handle = entries => {
+            const entry = entries[entries.length - 1];
+            const element = entry.element;
+            const target = element ? `${element.tagName.toLowerCase()}${element.className ? `.${String(element.className).split(' ')[0]}` : ''}` : entry.url;
+            this.update('LCP', entry.startTime, { element: target });
+        };
+        const observer = this.observe('largest-contentful-paint', handle);
+        if (!observer) return;
+
+        // The browser stops reporting LCP candidates after the first input
+        const finalize = () => {
+            const pending = observer.takeRecords();
+            if (pending.length) handle(pending);
+            observer.disconnect();
+            this.report('LCP');
+        };
+        ['keydown', 'pointerdown'].forEach(type => {
+            this.listen(window, type, finalize, { once: true, capture: true });
+        });
+    }
+
+    // CLS is the largest burst of shifts: entries less than 1s apart, within a 5s window
+    observeCLS() {
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+        let largest = 0;
+
+        this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                if (sessionValue && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+                    sessionValue += entry.value;
+                } else {
+                    sessionValue = entry.value;
+                    sessionStart = entry.startTime;
+                }
+                lastShift = entry.startTime;
+                largest = Math.max(largest, sessionValue);
+            });
+
+            this.update('CLS', largest);
+        });
+    }
+
+    // INP approximates the 98th percentile of interaction latency: the worst
+    // interaction, skipping one for every 50 interactions on the page
+    observeINP() {
+        const interactions = new Map();
+
+        const handle = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+
+                const previous = interactions.get(entry.interactionId);
+                if (!previous || entry.duration > previous.duration) {
+                    interactions.set(entry.interactionId, { duration: entry.duration, type: entry.name });
+                }
+            });
+
+            if (interactions.size === 0) return;
+
+            const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+            const worst = sorted[Math.min(Math.floor(interactions.size / 50), sorted.length - 1)];
+            this.update('INP', worst.duration, { interactions: interactions.size, type: worst.type });
+        };
+
+        this.observe('event', handle, { durationThreshold: 40 });
+        this.observe('first-input', handle);
+    }
+
+    observeLongTasks() {
+        this.observe('longtask', entries => {
+            entries.forEach(entry => {
+                this.longTasks.count++;
+                this.longTasks.blockingTime += Math.max(entry.duration - 50, 0);
+            });
+            this.renderOverlay();
+        });
+    }
+
+    // Break down how the large project images were fetched
+    observeImages() {
+        this.observe('resource', entries => {
+            entries.forEach(entry => {
+                if (!/\.(png|jpe?g)(\?|$)/i.test(entry.name)) return;
+
+                const size = entry.encodedBodySize || entry.transferSize || 0;
+                if (size < this.largeImageBytes) return;
+
+                const timing = {
+                    name: decodeURIComponent(entry.name.split('/').pop()),
+                    size,
+                    // A zero transfer size means it came from a cache (e.g. the service worker)
+                    cached: entry.transferSize === 0,
+                    duration: entry.duration,
+                    waiting: entry.responseStart > 0 ? entry.responseStart - entry.requestStart : 0,
+                    download: entry.responseEnd - (entry.responseStart || entry.startTime)
+                };
+                this.images.push(timing);
+                // Per-image timings are diagnostics, so they stay out of the beacon and GA
+                this.sinks
+                    .filter(sink => sink instanceof ConsoleMetricsSink)
+                    .forEach(sink => sink.report({ name: 'image', value: timing.duration, detail: timing }));
+            });
+            this.renderOverlay();
+        });
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        this.overlay.setAttribute('aria-label', 'Performance metrics');
+        document.body.appendChild(this.overlay);
+        this.renderOverlay();
+    }
+
+    renderOverlay() {
+        if (!this.overlay || this.overlayFrame) return;
+
+        this.overlayFrame = requestAnimationFrame(() => {
+            this.overlayFrame = null;
+            const esc = utils.escapeHTML;
+            const format = (name, value) => (name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`);
+            const kb = bytes => `${Math.round(bytes / 1024)} KB`;
+
+            const vitals = Object.keys(this.thresholds).map(name => {
+                const metric = this.values[name];
+                return `
+                    <li class="perf-metric ${metric ? `perf-${metric.rating}` : ''}">
+                        <span>${name}</span>
+                        <span>${metric ? format(name, metric.value) : '&ndash;'}</span>
+                    </li>
+                `;
+            }).join('');
+
+            const images = this.images.map(image => `
+                <li class="perf-metric">
+                    <span title="${esc(image.name)}">${esc(image.name)}</span>
+                    <span>${kb(image.size)} &middot; ${Math.round(image.duration)} ms${image.cached ? ' (cache)' : ''}</span>
+                </li>
+            `).join('');
+
+            this.overlay.innerHTML = `
+                <ul class="perf-list">${vitals}
+                    <li class="perf-metric">
+                        <span>Long tasks</span>
+                        <span>${this.longTasks.count} &middot; ${Math.round(this.longTasks.blockingTime)} ms blocking</span>
+                    </li>
+                </ul>
+                ${images ? `<p class="perf-heading">Large images</p><ul class="perf-list">${images}</ul>` : ''}
+            `;
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.overlayFrame) cancelAnimationFrame(this.overlayFrame);
+        if (this.overlay) this.overlay.remove();
+        this.overlay = null;
+    }
+}
+
+// Add shared animations to CSS
+const animationStyles = document.createElement('style');
+animationStyles.textContent = `
+    @keyframes fadeIn {
+        from {
+            opacity: 0;
+            transform: translateY(20px);
+        }
+        to {
+            opacity: 1;
+            transform: translateY(0);
+        }
+    }
+`;
+document.head.appendChild(animationStyles);
+
+// Initialize Application
+document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize the loading screen first, then the strings everything else shows
+    kernel.start().register('loading', () => new LoadingScreen());
+    await i18n.load();
+
+    kernel
+        .register('notifications', () => new NotificationCenter())
+        .register('theme', () => new ThemeController())
+        .register('serviceWorker', () => new ServiceWorkerManager())
+        .register('language', () => new LanguageSwitcher());
+    motionPreference.createToggle();
+
+    // Render content before the controllers that attach to it
+    const [content, imageLoader] = await Promise.all([
+        new ContentLoader().load(),
+        new ResponsiveImageLoader().load()
+    ]);
+    imageLoader.enhanceAll();
+    
+    // Initialize core components
+    // The scroll service goes first so every subscriber sees its first frame
+    kernel
+        .register('scroll', () => new ScrollService())
+        .register('navigation', () => new Navigation())
+        .register('readingProgress', () => new ReadingProgress())
+        .register('timeline', () => new TimelineController(content))
+        .register('animations', () => new AnimationController())
+        .register('charts', () => new ChartController(content))
+        .register('form', () => new FormController())
+        .register('clipboard', () => new ClipboardController())
+        .register('backToTop', () => new BackToTopButton())
+        .register('projectFilter', () => new ProjectFilter())
+        .register('skills', () => new SkillsExplorer(content, { getCharts: () => kernel.get('charts') }))
+        .register('projectModal', () => new ProjectModal(content ? content.projects : [], { getCharts: () => kernel.get('charts'), imageLoader }))
+        .register('workflow', () => new WorkflowController(content))
+        .register('commandPalette', () => new CommandPalette(content))
+        .register('structuredData', () => new StructuredData())
+        .register('cv', () => new CVBuilder())
+        .register('performance', () => new PerformanceMonitor())
+        // The gear background is skipped on mobile, and stops if the window narrows
+        .register('gears', () => new GearSystem(), { media: '(min-width: 769px)' });
+    
+    // Add smooth reveal animation for page load
+    setTimeout(() => {
+        document.body.style.opacity = '1';
+        document.body.style.transition = 'opacity 0.5s ease-in-out';
+    }, 100);
+});
+
+// Service Worker Registration (Progressive Web App)
+class ServiceWorkerManager extends Component {
+    constructor(scriptUrl = 'sw.js') {
+        super();
+        this.scriptUrl = scriptUrl;
+        this.refreshing = false;
+        this.init();
+    }
+
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            this.listen(window, 'load', () => this.register());
+        }
+
+        // Reload once the new worker has taken control
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            if (this.refreshing) return;
+            this.refreshing = true;
+            window.location.reload();
+        });
+    }
+
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register(this.scriptUrl);
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        this.notify(i18n.t('update.available'), {
+            severity: 'info',
+            duration: 0,
+            key: 'sw-update',
+            action: {
+                label: i18n.t('update.reload'),
+                onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+            }
+        });
+    }
+}
+
+// Theme Controller - light, dark, or follow the system preference
+class ThemeController extends Component {
+    constructor() {
+        super();
+        this.storageKey = 'theme';
+        this.modes = ['dark', 'light', 'system'];
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+        this.currentTheme = this.readPreference();
+        this.init();
+    }
+
+    init() {
+        this.applyTheme();
+        this.createThemeToggle();
+        this.bindEvents();
+        this.listen(document, 'localechange', () => this.updateToggle());
+    }
+
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return this.modes.includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    bindEvents() {
+        if (!this.mediaQuery) return;
+
+        const onChange = () => {
+            if (this.currentTheme === 'system') this.applyTheme();
+        };
+
+        // Safari < 14 only supports the deprecated addListener
+        if (this.mediaQuery.addEventListener) {
+            this.listen(this.mediaQuery, 'change', onChange);
+        } else if (this.mediaQuery.addListener) {
+            this.mediaQuery.addListener(onChange);
+            this.onDestroy(() => this.mediaQuery.removeListener(onChange));
+        }
+    }
+
+    createThemeToggle() {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'theme-toggle';
+        this.listen(toggle, 'click', () => this.toggleTheme());
+        this.onDestroy(() => toggle.remove());
+
+        const container = document.querySelector('.nav-actions') || document.body;
+        container.prepend(toggle);
+
+        this.toggle = toggle;
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        if (!this.toggle) return;
+
+        const icons = { dark: 'fa-moon', light: 'fa-sun', system: 'fa-desktop' };
+        const label = mode => i18n.t(`theme.${mode}`);
+        const next = this.modes[(this.modes.indexOf(this.currentTheme) + 1) % this.modes.length];
+
+        this.toggle.innerHTML = `<i class="fas ${icons[this.currentTheme]}" aria-hidden="true"></i>`;
+        this.toggle.setAttribute('aria-label', i18n.t('theme.label', {
+            current: label(this.currentTheme),
+            next: label(next).toLocaleLowerCase(i18n.locale)
+        }));
+        this.toggle.title = label(this.currentTheme);
+    }
+
+    toggleTheme() {
+        const index = this.modes.indexOf(this.currentTheme);
+        this.currentTheme = this.modes[(index + 1) % this.modes.length];
+        this.applyTheme();
+        this.updateToggle();
+
+        try {
+            localStorage.setItem(this.storageKey, this.currentTheme);
+        } catch (error) {
+            // Private mode or storage disabled - the choice lasts for this visit only
+        }
+    }
+
+    getResolvedTheme() {
+        if (this.currentTheme !== 'system') return this.currentTheme;
+        return this.mediaQuery && this.mediaQuery.matches ? 'light' : 'dark';
+    }
+
+    applyTheme() {
+        const theme = this.getResolvedTheme();
+        const root = document.documentElement;
+
+        if (root.getAttribute('data-theme') === theme) return;
+
+        root.setAttribute('data-theme', theme);
+
+        // Canvas and chart colors are read from CSS variables, so let them redraw
+        document.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+    }
+}
+
+// Language Switcher - a select in the navbar listing each locale in its own language
+class LanguageSwitcher extends Component {
+    constructor() {
+        super();
+        this.init();
+    }
+
+    init() {
+        const select = document.createElement('select');
+        select.className = 'language-select';
+        select.dataset.i18nAttr = 'aria-label:nav.language, title:nav.language';
+
+        i18n.locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = this.nativeName(locale);
+            select.appendChild(option);
+        });
+
+        select.value = i18n.locale;
+        i18n.translate(select);
+
+        this.listen(select, 'change', () => i18n.setLocale(select.value));
+        this.listen(document, 'localechange', ({ detail }) => {
+            select.value = detail.locale;
+        });
+        this.onDestroy(() => select.remove());
+
+        const container = document.querySelector('.nav-actions') || document.body;
+        container.prepend(select);
+        this.select = select;
+    }
+
+    nativeName(locale) {
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+            return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+        } catch (error) {
+            // Intl.DisplayNames is missing in older browsers
+            return locale.toUpperCase();
+        }
     }
 }
 
-// Back to Top Button
-class BackToTopButton {
-    constructor() {
-        this.button = document.getElementById('backToTop');
+// Command Palette
+// Ctrl/Cmd+K opens a fuzzy search over sections, projects, tags, experience and
+// a few actions. Outside text fields, single keys jump between sections and "?"
+// lists the shortcuts.
+class CommandPalette extends Component {
+    constructor(content = null) {
+        super();
+        this.projects = content ? content.projects : [];
+        this.experience = content ? content.experience : [];
+        this.shortcuts = { h: 'home', a: 'about', s: 'skills', p: 'projects', e: 'experience', c: 'contact' };
+        this.icons = {
+            section: 'fa-hashtag',
+            project: 'fa-folder-open',
+            tag: 'fa-tag',
+            experience: 'fa-briefcase',
+            action: 'fa-bolt'
+        };
+        this.maxResults = 50;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
         this.init();
     }
 
     init() {
-        if (this.button) {
-            this.bindEvents();
-            this.handleScroll();
-        }
-    }
-
-    bindEvents() {
-        this.button.addEventListener('click', () => this.scrollToTop());
-        window.addEventListener('scroll', utils.throttle(() => this.handleScroll(), 100));
-    }
+        this.createPalette();
+        this.createHelp();
 
-    scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
+        this.listen(document, 'keydown', (e) => this.handleShortcut(e));
+        this.listen(document, 'localechange', () => {
+            if (this.isOpen()) this.search();
         });
     }
 
-    handleScroll() {
-        const scrollY = window.scrollY;
-        
-        if (scrollY > 500) {
-            this.button.classList.add('show');
-        } else {
-            this.button.classList.remove('show');
-        }
-    }
-}
+    createPalette() {
+        const palette = document.createElement('div');
+        palette.className = 'command-palette';
+        palette.hidden = true;
+        palette.innerHTML = `
+            <div class="palette-backdrop" data-palette-close></div>
+            <div class="palette-dialog" role="dialog" aria-modal="true" data-i18n-attr="aria-label:palette.label">
+                <div class="palette-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="text" class="palette-input" role="combobox" aria-expanded="true" aria-controls="palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false" data-i18n-attr="placeholder:palette.placeholder, aria-label:palette.label">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="palette-results" id="palette-results" role="listbox" data-i18n-attr="aria-label:palette.results"></ul>
+                <p class="palette-empty" data-i18n="palette.noResults" hidden></p>
+                <p class="palette-hint" data-i18n="palette.hint" aria-hidden="true"></p>
+            </div>
+        `;
+        i18n.translate(palette);
+        document.body.appendChild(palette);
+        this.onDestroy(() => palette.remove());
 
-// Loading Screen
-class LoadingScreen {
-    constructor() {
-        this.createLoadingScreen();
+        this.palette = palette;
+        this.input = palette.querySelector('.palette-input');
+        this.list = palette.querySelector('.palette-results');
+        this.empty = palette.querySelector('.palette-empty');
+
+        this.listen(palette, 'click', (e) => {
+            if (e.target.closest('[data-palette-close]')) this.close();
+        });
+        this.listen(this.input, 'input', () => this.search());
+        this.listen(this.input, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(this.list, 'click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.run(Number(option.dataset.index));
+        });
+        this.listen(this.list, 'mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.setActive(Number(option.dataset.index), false);
+        });
     }
 
-    createLoadingScreen() {
-        const loadingHTML = `
-            <div class="loading" id="loading">
-                <div class="spinner"></div>
+    createHelp() {
+        const help = document.createElement('div');
+        help.className = 'shortcut-help';
+        help.hidden = true;
+        help.innerHTML = `
+            <div class="palette-backdrop" data-help-close></div>
+            <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title">
+                <div class="shortcut-header">
+                    <h3 id="shortcut-help-title" data-i18n="shortcuts.title"></h3>
+                    <button type="button" class="shortcut-close" data-help-close data-i18n-attr="aria-label:shortcuts.dismiss">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <dl class="shortcut-list"></dl>
             </div>
         `;
-        
-        document.body.insertAdjacentHTML('afterbegin', loadingHTML);
-        this.loadingElement = document.getElementById('loading');
-        
-        // Hide loading screen after page loads
-        window.addEventListener('load', () => {
-            setTimeout(() => this.hideLoading(), 1000);
+        i18n.translate(help);
+        document.body.appendChild(help);
+        this.onDestroy(() => help.remove());
+
+        this.help = help;
+        this.listen(help, 'click', (e) => {
+            if (e.target.closest('[data-help-close]')) this.closeHelp();
+        });
+        this.listen(help, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeHelp();
+            } else if (e.key === 'Tab') {
+                // The close button is the only control
+                e.preventDefault();
+            }
         });
     }
 
-    hideLoading() {
-        if (this.loadingElement) {
-            this.loadingElement.classList.add('hide');
-            setTimeout(() => this.loadingElement.remove(), 500);
-        }
+    isOpen() {
+        return !this.palette.hidden;
     }
-}
 
-// Gear System for Background Effect
-class GearSystem {
-    constructor() {
-        this.canvas = this.createCanvas();
-        this.ctx = this.canvas.getContext('2d');
-        this.gears = [];
-        this.mouse = { x: 0, y: 0 };
-        
-        this.init();
+    isHelpOpen() {
+        return !this.help.hidden;
     }
 
-    createCanvas() {
-        const canvas = document.createElement('canvas');
-        canvas.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            pointer-events: none;
-            z-index: -1;
-            opacity: 0.4;
-        `;
-        document.body.appendChild(canvas);
-        return canvas;
+    isTyping(e) {
+        const target = e.target;
+        return Boolean(target && (target.isContentEditable || (target.closest && target.closest('input, textarea, select'))));
     }
 
-    init() {
-        this.resize();
-        this.createGears();
-        this.bindEvents();
-        this.animate();
-    }
+    handleShortcut(e) {
+        // The project modal keeps the keyboard while it is open
+        if (e.defaultPrevented || document.body.classList.contains('modal-open')) return;
 
-    bindEvents() {
-        window.addEventListener('resize', () => this.resize());
-        window.addEventListener('mousemove', (e) => {
-            this.mouse.x = e.clientX;
-            this.mouse.y = e.clientY;
-        });
-    }
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (this.isOpen()) {
+                this.close();
+            } else {
+                this.open();
+            }
+            return;
+        }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.gears = [];
-        this.createGears();
-    }
+        if (this.isOpen() || this.isHelpOpen() || e.ctrlKey || e.metaKey || e.altKey || this.isTyping(e)) return;
 
-    createGears() {
-        const gearCount = Math.floor(window.innerWidth / 150) + Math.floor(window.innerHeight / 150);
-        
-        for (let i = 0; i < gearCount; i++) {
-            this.gears.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                radius: Math.random() * 30 + 20,
-                teeth: Math.floor(Math.random() * 8) + 8,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.02,
-                opacity: Math.random() * 0.3 + 0.1,
-                strokeWidth: Math.random() * 1.5 + 0.5
-            });
+        if (e.key === '?') {
+            e.preventDefault();
+            this.openHelp();
+            return;
         }
-    }
 
-    drawGear(gear) {
-        const { x, y, radius, teeth, rotation, opacity, strokeWidth } = gear;
-        
-        this.ctx.save();
-        this.ctx.translate(x, y);
-        this.ctx.rotate(rotation);
-        
-        // Draw gear outline
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = `rgba(0, 212, 255, ${opacity})`;
-        this.ctx.lineWidth = strokeWidth;
-        
-        const toothHeight = radius * 0.2;
-        const angleStep = (Math.PI * 2) / teeth;
-        
-        for (let i = 0; i < teeth; i++) {
-            const angle = i * angleStep;
-            const nextAngle = (i + 1) * angleStep;
-            
-            // Inner circle point
-            const innerX1 = Math.cos(angle) * radius;
-            const innerY1 = Math.sin(angle) * radius;
-            
-            // Outer tooth points
-            const toothAngle1 = angle + angleStep * 0.2;
-            const toothAngle2 = angle + angleStep * 0.8;
-            
-            const toothX1 = Math.cos(toothAngle1) * (radius + toothHeight);
-            const toothY1 = Math.sin(toothAngle1) * (radius + toothHeight);
-            
-            const toothX2 = Math.cos(toothAngle2) * (radius + toothHeight);
-            const toothY2 = Math.sin(toothAngle2) * (radius + toothHeight);
-            
-            const innerX2 = Math.cos(nextAngle) * radius;
-            const innerY2 = Math.sin(nextAngle) * radius;
-            
-            if (i === 0) {
-                this.ctx.moveTo(innerX1, innerY1);
-            }
-            
-            this.ctx.lineTo(toothX1, toothY1);
-            this.ctx.lineTo(toothX2, toothY2);
-            this.ctx.lineTo(innerX2, innerY2);
+        const section = !e.shiftKey && this.shortcuts[e.key.toLowerCase()];
+        if (section && document.getElementById(section)) {
+            e.preventDefault();
+            this.goToSection(document.getElementById(section));
         }
-        
-        this.ctx.closePath();
-        this.ctx.stroke();
-        
-        // Draw inner circle
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, radius * 0.3, 0, Math.PI * 2);
-        this.ctx.stroke();
-        
-        // Draw center dot
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, radius * 0.1, 0, Math.PI * 2);
-        this.ctx.fillStyle = `rgba(0, 212, 255, ${opacity * 1.5})`;
-        this.ctx.fill();
-        
-        this.ctx.restore();
     }
 
-    animate() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        this.gears.forEach((gear) => {
-            // Update rotation
-            gear.rotation += gear.rotationSpeed;
-            
-            // Mouse interaction - speed up gears near mouse
-            const dx = this.mouse.x - gear.x;
-            const dy = this.mouse.y - gear.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < 150) {
-                const speedMultiplier = (150 - distance) / 150 * 3 + 1;
-                gear.rotation += gear.rotationSpeed * speedMultiplier;
-            }
-            
-            // Draw gear
-            this.drawGear(gear);
-        });
-        
-        requestAnimationFrame(() => this.animate());
-    }
-}
+    open() {
+        if (this.isHelpOpen()) this.closeHelp(false);
 
-// Project Filter System
-class ProjectFilter {
-    constructor() {
-        this.projects = document.querySelectorAll('.project-card');
-        this.init();
+        this.returnFocus = document.activeElement;
+        this.commands = this.buildCommands();
+        this.input.value = '';
+        this.palette.hidden = false;
+        this.search();
+        this.input.focus();
     }
 
-    init() {
-        this.createFilterButtons();
-        this.bindEvents();
+    close(restoreFocus = true) {
+        if (!this.isOpen()) return;
+
+        this.palette.hidden = true;
+        this.input.removeAttribute('aria-activedescendant');
+        if (restoreFocus && this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+        this.returnFocus = null;
     }
 
-    createFilterButtons() {
-        const projectsSection = document.querySelector('.projects .container');
-        const filterContainer = document.createElement('div');
-        filterContainer.className = 'project-filters';
-        filterContainer.style.cssText = `
-            display: none;
+    openHelp() {
+        const modifier = /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+        const esc = utils.escapeHTML;
+        const row = (keys, description) => `
+            <div class="shortcut-row">
+                <dt>${keys.map(key => `<kbd>${esc(key)}</kbd>`).join(' + ')}</dt>
+                <dd>${esc(description)}</dd>
+            </div>
         `;
-        // No filters to render
-        const sectionHeader = projectsSection.querySelector('.section-header');
-        // Do not append the filterContainer since we are removing all filter buttons
-    }
 
-    bindEvents() {
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => this.handleFilter(button));
-        });
-    }
+        const sections = Object.entries(this.shortcuts)
+            .filter(([, id]) => document.getElementById(id))
+            .map(([key, id]) => row([key.toUpperCase()], i18n.t('shortcuts.goTo', { section: this.sectionLabel(document.getElementById(id)) })));
 
-    handleFilter(activeButton) {
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        const filter = activeButton.dataset.filter;
-        
-        // Update active button
-        filterButtons.forEach(btn => {
-            btn.classList.remove('active');
-            btn.style.background = 'transparent';
-            btn.style.color = '#00d4ff';
-        });
-        
-        activeButton.classList.add('active');
-        activeButton.style.background = '#00d4ff';
-        activeButton.style.color = '#ffffff';
-        
-        // Filter projects (for demo, we'll show/hide randomly)
-        this.projects.forEach((project, index) => {
-            if (filter === 'all') {
-                project.style.display = 'block';
-                project.style.animation = `fadeIn 0.5s ease ${index * 0.1}s both`;
-            } else {
-                // Simulate filtering logic
-                const shouldShow = Math.random() > 0.3;
-                project.style.display = shouldShow ? 'block' : 'none';
-                if (shouldShow) {
-                    project.style.animation = `fadeIn 0.5s ease ${index * 0.1}s both`;
-                }
-            }
-        });
-    }
-}
+        this.help.querySelector('.shortcut-list').innerHTML = [
+            row([modifier, 'K'], i18n.t('shortcuts.palette')),
+            ...sections,
+            row(['?'], i18n.t('shortcuts.help')),
+            row(['Esc'], i18n.t('shortcuts.close'))
+        ].join('');
 
-// Performance Monitor
-class PerformanceMonitor {
-    constructor() {
-        this.init();
+        this.helpReturnFocus = document.activeElement;
+        this.help.hidden = false;
+        this.help.querySelector('.shortcut-close').focus();
     }
 
-    init() {
-        this.monitorPageLoad();
-        this.optimizeImages();
+    closeHelp(restoreFocus = true) {
+        this.help.hidden = true;
+        if (restoreFocus && this.helpReturnFocus && this.helpReturnFocus.focus) this.helpReturnFocus.focus();
+        this.helpReturnFocus = null;
     }
 
-    monitorPageLoad() {
-        window.addEventListener('load', () => {
-            const loadTime = performance.now();
-            console.log(`Page loaded in ${loadTime.toFixed(2)}ms`);
-            
-            // Report Core Web Vitals if available
-            if ('web-vital' in window) {
-                // This would integrate with actual web vitals library
-                console.log('Core Web Vitals monitoring enabled');
-            }
-        });
+    sectionLabel(section) {
+        const link = document.querySelector(`.nav-link[data-section="${section.id}"]`);
+        const title = section.querySelector('.section-title');
+        return (link || title) ? (link || title).textContent.trim() : section.id;
     }
 
-    optimizeImages() {
-        const images = document.querySelectorAll('img');
-        
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.classList.remove('lazy');
-                            imageObserver.unobserve(img);
-                        }
-                    }
-                });
-            });
-            
-            images.forEach(img => {
-                if (img.dataset.src) {
-                    img.classList.add('lazy');
-                    imageObserver.observe(img);
-                }
-            });
+    // Built on every open so labels follow the locale and the controllers that are running
+    buildCommands() {
+        const commands = [];
+        const add = (group, label, run, keywords = '') => commands.push({ group, label, run, keywords });
+
+        const resume = document.querySelector('a[download]');
+        if (resume) add('action', i18n.t('palette.downloadResume'), () => resume.click(), 'resume cv pdf');
+
+        if (kernel.get('cv')) {
+            add('action', i18n.t('cv.generate'), () => kernel.get('cv').open(), 'resume print pdf');
         }
-    }
-}
 
-// Add notification animations to CSS
-const notificationStyles = document.createElement('style');
-notificationStyles.textContent = `
-    @keyframes slideInRight {
-        from {
-            transform: translateX(100%);
-            opacity: 0;
+        const email = document.querySelector('a[href^="mailto:"]');
+        if (email) {
+            add('action', i18n.t('palette.copyEmail'), () => this.copyEmail(email.getAttribute('href').slice(7)), email.textContent);
         }
-        to {
-            transform: translateX(0);
-            opacity: 1;
+
+        if (kernel.get('theme')) {
+            add('action', i18n.t('palette.toggleTheme'), () => kernel.get('theme').toggleTheme(), 'dark light mode');
         }
-    }
-    
-    @keyframes slideOutRight {
-        from {
-            transform: translateX(0);
-            opacity: 1;
+        add('action', i18n.t('shortcuts.title'), () => this.openHelp(), 'help keys');
+
+        document.querySelectorAll('section[id]').forEach(section => {
+            const title = section.querySelector('.section-title');
+            add('section', this.sectionLabel(section), () => this.goToSection(section), title ? title.textContent : '');
+        });
+
+        this.projects.forEach(project => {
+            add('project', project.title, () => this.openProject(project.id), project.tags.join(' '));
+        });
+
+        if (kernel.get('projectFilter')) {
+            const tags = [...new Set(this.projects.flatMap(project => project.tags))].sort((a, b) => a.localeCompare(b));
+            tags.forEach(tag => add('tag', i18n.t('palette.filterTag', { tag }), () => this.filterByTag(tag), tag));
         }
-        to {
-            transform: translateX(100%);
-            opacity: 0;
+
+        const items = document.querySelectorAll('.timeline-item');
+        this.experience.forEach((item, index) => {
+            if (!items[index]) return;
+            add('experience', `${item.title} — ${item.company}`, () => this.goToExperience(index, items[index]), item.date);
+        });
+
+        return commands;
+    }
+
+    search() {
+        const query = this.input.value.trim();
+
+        if (!query) {
+            this.results = this.commands
+                .filter(command => command.group === 'action' || command.group === 'section')
+                .map(command => ({ command, indices: [] }));
+        } else {
+            this.results = this.commands
+                .map((command, order) => {
+                    const label = utils.fuzzyMatch(query, command.label);
+                    if (label) return { command, order, score: label.score, indices: label.indices };
+
+                    // A keyword match ranks below any label match and highlights nothing
+                    const keywords = command.keywords && utils.fuzzyMatch(query, command.keywords);
+                    return keywords ? { command, order, score: keywords.score - 100, indices: [] } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .slice(0, this.maxResults);
         }
+
+        this.render();
+        this.setActive(0);
     }
-    
-    @keyframes fadeIn {
-        from {
-            opacity: 0;
-            transform: translateY(20px);
+
+    render() {
+        const esc = utils.escapeHTML;
+
+        this.list.innerHTML = this.results.map(({ command, indices }, index) => `
+            <li class="palette-option" id="palette-option-${index}" role="option" aria-selected="false" data-index="${index}">
+                <i class="fas ${this.icons[command.group]}" aria-hidden="true"></i>
+                <span class="palette-label">${this.highlight(command.label, indices)}</span>
+                <span class="palette-group">${esc(i18n.t(`palette.groups.${command.group}`))}</span>
+            </li>
+        `).join('');
+
+        this.empty.hidden = this.results.length > 0;
+    }
+
+    highlight(text, indices) {
+        const marked = new Set(indices);
+        return Array.from(text).map((char, index) => (
+            marked.has(index) ? `<mark>${utils.escapeHTML(char)}</mark>` : utils.escapeHTML(char)
+        )).join('').replace(/<\/mark><mark>/g, '');
+    }
+
+    setActive(index, scroll = true) {
+        const options = this.list.querySelectorAll('.palette-option');
+        if (options.length === 0) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
         }
-        to {
-            opacity: 1;
-            transform: translateY(0);
+
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        if (scroll && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.run(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // Focus stays in the search field; the arrows move through results
+                e.preventDefault();
+                break;
         }
     }
-`;
-document.head.appendChild(notificationStyles);
 
-// Initialize Application
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize loading screen first
-    new LoadingScreen();
-    
-    // Initialize core components
-    new Navigation();
-    new AnimationController();
-    new ChartController();
-    new FormController();
-    new BackToTopButton();
-    new ProjectFilter();
-    new PerformanceMonitor();
-    
-    // Initialize gear system if not on mobile
-    if (window.innerWidth > 768) {
-        new GearSystem();
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        result.command.run();
     }
-    
-    // Add smooth reveal animation for page load
-    setTimeout(() => {
-        document.body.style.opacity = '1';
-        document.body.style.transition = 'opacity 0.5s ease-in-out';
-    }, 100);
-});
 
-// Service Worker Registration (Progressive Web App)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('SW registered: ', registration);
-            })
-            .catch(registrationError => {
-                console.log('SW registration failed: ', registrationError);
-            });
-    });
-}
+    goToElement(element) {
+        const navbar = document.getElementById('navbar');
+        utils.scrollToElement(element, navbar ? navbar.offsetHeight : 80);
 
-// Dark/Light Mode Toggle (Future Enhancement)
-class ThemeController {
-    constructor() {
-        this.currentTheme = localStorage.getItem('theme') || 'dark';
-        this.init();
+        // Move focus along for keyboard and screen reader users, as nav links do
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+        element.focus({ preventScroll: true });
     }
 
-    init() {
-        this.applyTheme();
-        this.createThemeToggle();
+    // The timeline controller may be hiding the entry behind a type filter
+    goToExperience(index, element) {
+        const timeline = kernel.get('timeline');
+        if (timeline && timeline.goToEntry(index)) return;
+        this.goToElement(element);
     }
 
-    createThemeToggle() {
-        const toggle = document.createElement('button');
-        toggle.className = 'theme-toggle';
-        toggle.innerHTML = '<i class="fas fa-sun"></i>';
-        toggle.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 80px;
-            width: 50px;
-            height: 50px;
-            border-radius: 50%;
-            border: none;
-            background: var(--bg-secondary);
-            color: var(--text-primary);
-            cursor: pointer;
-            z-index: 1001;
-            transition: all 0.3s ease;
-            display: none; /* Hidden for now, can be enabled later */
-        `;
-        
-        toggle.addEventListener('click', () => this.toggleTheme());
-        document.body.appendChild(toggle);
+    goToSection(section) {
+        this.goToElement(section);
+        if (window.location.hash !== `#${section.id}`) {
+            history.pushState(null, '', `#${section.id}`);
+        }
     }
 
-    toggleTheme() {
-        this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.applyTheme();
-        localStorage.setItem('theme', this.currentTheme);
+    // ProjectModal opens from the URL hash, like the workflow diagram's links
+    openProject(id) {
+        window.location.hash = `project/${id}`;
     }
 
-    applyTheme() {
-        if (this.currentTheme === 'light') {
-            // Light theme variables would go here
-            // For now, we're keeping it dark as requested
+    filterByTag(tag) {
+        const filter = kernel.get('projectFilter');
+        if (filter) filter.showTag(tag);
+
+        const section = document.getElementById('projects');
+        if (section) this.goToSection(section);
+    }
+
+    async copyEmail(address) {
+        const label = i18n.t('contact.emailAddress');
+        if (await utils.copyText(address)) {
+            this.notify(i18n.t('clipboard.copied', { label }), { severity: 'success', duration: 3000 });
+        } else {
+            this.notify(i18n.t('clipboard.failed', { label, text: address }), { severity: 'warning', duration: 8000 });
         }
     }
 }
 
-// Initialize theme controller
-// new ThemeController(); // Commented out since we want dark theme only
-
 // Export for potential module use
 window.PortfolioApp = {
+    utils,
+    AppKernel,
+    Component,
+    kernel,
+    ContentLoader,
+    ResponsiveImageLoader,
+    ScrollService,
+    ReadingProgress,
     Navigation,
     AnimationController,
     ChartController,
     FormController,
+    NotificationCenter,
+    FetchSubmissionBackend,
+    MailtoSubmissionBackend,
+    ClipboardController,
     BackToTopButton,
     GearSystem,
     ProjectFilter,
+    SkillsExplorer,
+    TimelineController,
+    ProjectModal,
+    WorkflowController,
     PerformanceMonitor,
-    ThemeController
+    ConsoleMetricsSink,
+    BeaconMetricsSink,
+    GtagMetricsSink,
+    ThemeController,
+    ServiceWorkerManager,
+    MotionPreference,
+    motionPreference,
+    I18n,
+    i18n,
+    LanguageSwitcher,
+    CommandPalette,
+    StructuredData,
+    CVBuilder
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Service Worker - precaches the site shell for offline use; images are cached
+// as the page loads them, so only the variants a visitor's screen picks are fetched
+
+// Bump CACHE_VERSION whenever any precached file changes; old caches are
+// deleted when the new worker activates.
+const CACHE_VERSION = 'v24';
+const CACHE_PREFIX = 'portfolio-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'content.json',
+    'images/manifest.json',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/ar.json',
+    'manifest.webmanifest',
+    'icon.svg',
+    OFFLINE_PAGE,
+    'ShahmeerBawejaResume.pdf'
+];
+
+self.addEventListener('install', (event) => {
+    // Wait in the "installed" state until the page asks us to take over
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Analytics, fonts and CDN libraries go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function handleNavigation(request) {
+    // Query strings and hashes (e.g. ?perf=1, #project/...) all map to the cached shell
+    const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match('index.html');
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return caches.match(OFFLINE_PAGE);
+    }
+}
+
+async function cacheFirst(request) {
+    // script.js is requested with a ?v= cache buster, so ignore the query on lookup
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (request.destination === 'image') {
+            return new Response('', { status: 503, statusText: 'Offline' });
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('AnimationController.animateCounter', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { document, clock, app } = page;
+    const animations = new app.AnimationController();
+
+    const counter = value => {
+        const element = document.createElement('span');
+        element.className = 'stat-number';
+        element.textContent = value;
+        document.body.appendChild(element);
+        return element;
+    };
+
+    await t.test('keeps the "+" suffix while counting up from zero', () => {
+        const element = counter('20+');
+        animations.animateCounter(element);
+
+        clock.tick(16);
+        assert.match(element.textContent, /^\d+\+$/);
+        assert.ok(parseInt(element.textContent, 10) < 20);
+
+        clock.tick(1000);
+        const midway = parseInt(element.textContent, 10);
+        assert.ok(midway > 0 && midway <= 20, `expected a value between 0 and 20, got ${midway}`);
+    });
+
+    await t.test('ends on the exact original text', () => {
+        const element = counter('24+');
+        animations.animateCounter(element);
+
+        clock.tick(2100);
+        assert.equal(element.textContent, '24+');
+    });
+
+    await t.test('counts plain numbers without a suffix', () => {
+        const element = counter('4');
+        animations.animateCounter(element);
+
+        clock.tick(500);
+        assert.match(element.textContent, /^\d$/);
+
+        clock.tick(2000);
+        assert.equal(element.textContent, '4');
+    });
+
+    await t.test('leaves the value alone when motion is reduced', (st) => {
+        app.motionPreference.setReduced(true);
+        st.after(() => app.motionPreference.setReduced(false));
+
+        const element = counter('8+');
+        animations.animateCounter(element);
+
+        clock.tick(16);
+        assert.equal(element.textContent, '8+');
+    });
+});
+
+test('AnimationController.setupTypewriter', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { document, clock, app } = page;
+    const subtitle = document.querySelector('.hero-subtitle');
+    const animations = new app.AnimationController();
+
+    await t.test('stops typing when the locale changes mid-way', async () => {
+        clock.tick(1500);
+        assert.ok(subtitle.textContent.length > 0 && subtitle.textContent.length < 'Simulation-Driven Engineering'.length);
+
+        await app.i18n.setLocale('es');
+        clock.tick(5000);
+        assert.equal(subtitle.textContent, 'Ingeniería basada en simulación');
+    });
+
+    await t.test('restores the subtitle in the current locale on destroy', async () => {
+        animations.destroy();
+        assert.equal(subtitle.textContent, 'Ingeniería basada en simulación');
+        await app.i18n.setLocale('en');
+    });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('AppKernel registrations', async (t) => {
+    const page = await createPage({ width: 1024 });
+    t.after(() => page.close());
+
+    const { app } = page;
+    const kernel = new app.AppKernel();
+    const log = [];
+
+    kernel.on('component:start', ({ name }) => log.push(`start ${name}`));
+    kernel.on('component:stop', ({ name }) => log.push(`stop ${name}`));
+
+    class Probe extends app.Component {
+        destroy() {
+            super.destroy();
+            log.push('destroyed');
+        }
+    }
+
+    await t.test('are not created until the kernel starts', () => {
+        kernel.register('always', () => new Probe());
+        assert.deepEqual(log, []);
+        kernel.start();
+        assert.deepEqual(log, ['start always']);
+        assert.ok(kernel.get('always') instanceof Probe);
+    });
+
+    await t.test('follow their media query', () => {
+        log.length = 0;
+        kernel.register('wide', () => new Probe(), { media: '(min-width: 769px)' });
+        assert.deepEqual(log, ['start wide']);
+
+        page.resize(600);
+        assert.deepEqual(log, ['start wide', 'destroyed', 'stop wide']);
+        assert.equal(kernel.get('wide'), null);
+        assert.ok(kernel.get('always'));
+
+        page.resize(1200);
+        assert.deepEqual(log.slice(3), ['start wide']);
+    });
+
+    await t.test('are all destroyed with the kernel', () => {
+        log.length = 0;
+        kernel.destroy();
+        assert.deepEqual(log, ['destroyed', 'stop always', 'destroyed', 'stop wide']);
+        assert.equal(kernel.get('always'), null);
+    });
+
+    await t.test('that throw are reported and skipped', () => {
+        const errors = page.errors.length;
+        kernel.start().register('broken', () => { throw new Error('boom'); });
+        assert.equal(kernel.get('broken'), null);
+        assert.match(page.errors[errors], /AppKernel: broken failed to start/);
+    });
+});
+
+test('Component.destroy releases listeners, observers and callbacks', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, app, observers } = page;
+    const component = new app.Component();
+    const calls = [];
+
+    component.listen(window, 'scroll', () => calls.push('scroll'));
+    component.on('section:change', ({ id }) => calls.push(id));
+    const observer = component.addObserver(new window.IntersectionObserver(() => {}));
+    observer.observe(document.body);
+    component.onDestroy(() => calls.push('cleanup'));
+
+    window.dispatchEvent(new window.Event('scroll'));
+    app.kernel.emit('section:change', { id: 'about' });
+    assert.deepEqual(calls, ['scroll', 'about']);
+
+    component.destroy();
+    window.dispatchEvent(new window.Event('scroll'));
+    app.kernel.emit('section:change', { id: 'skills' });
+    assert.deepEqual(calls, ['scroll', 'about', 'cleanup']);
+    assert.equal(observers[observers.length - 1].targets.size, 0);
+});
+
+test('BackToTopButton stops listening once destroyed', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { document, app } = page;
+    const button = document.getElementById('backToTop');
+    const backToTop = new app.BackToTopButton();
+
+    backToTop.destroy();
+    app.kernel.emit('scroll:update', { y: 900 });
+    assert.equal(button.classList.contains('show'), false);
+});
+
+test('the gear background follows the viewport width', async (t) => {
+    const page = await createPage({ width: 1024 });
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document, app } = page;
+    const gearCanvas = () => Array.from(document.querySelectorAll('body > canvas'));
+
+    assert.ok(app.kernel.get('gears'));
+    assert.equal(gearCanvas().length, 1);
+
+    page.resize(500);
+    assert.equal(app.kernel.get('gears'), null);
+    assert.equal(gearCanvas().length, 0);
+
+    page.resize(1024);
+    assert.ok(app.kernel.get('gears'));
+    assert.equal(gearCanvas().length, 1);
+
+    const mobile = await createPage({ width: 375 });
+    t.after(() => mobile.close());
+    await mobile.boot();
+    assert.equal(mobile.app.kernel.get('gears'), null);
+    assert.equal(mobile.document.querySelectorAll('body > canvas').length, 0);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('BackToTopButton visibility', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app } = page;
+    const button = document.getElementById('backToTop');
+
+    const scrollTo = (y) => {
+        Object.defineProperty(window, 'scrollY', { configurable: true, value: y });
+        window.dispatchEvent(new window.Event('scroll'));
+    };
+
+    new app.ScrollService();
+    new app.BackToTopButton();
+
+    await t.test('is hidden at the top of the page', () => {
+        clock.tick(16);
+        assert.equal(button.classList.contains('show'), false);
+    });
+
+    await t.test('appears once scrolled past 500px, on the next frame', () => {
+        scrollTo(501);
+        assert.equal(button.classList.contains('show'), false);
+        clock.tick(16);
+        assert.equal(button.classList.contains('show'), true);
+    });
+
+    await t.test('only sees the last position of a frame', () => {
+        scrollTo(0);
+        scrollTo(800);
+        clock.tick(16);
+        assert.equal(button.classList.contains('show'), true);
+    });
+
+    await t.test('hides again near the top', () => {
+        scrollTo(500);
+        clock.tick(16);
+        assert.equal(button.classList.contains('show'), false);
+    });
+
+    await t.test('scrolls to the top when clicked', () => {
+        const calls = [];
+        window.scrollTo = options => calls.push(options);
+
+        button.click();
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].top, 0);
+        assert.equal(calls[0].behavior, 'smooth');
+    });
+
+    await t.test('jumps without smooth scrolling when motion is reduced', (st) => {
+        app.motionPreference.setReduced(true);
+        st.after(() => app.motionPreference.setReduced(false));
+
+        const calls = [];
+        window.scrollTo = options => calls.push(options);
+
+        button.click();
+        assert.equal(calls[0].behavior, 'auto');
+    });
+});
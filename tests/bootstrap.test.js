@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('the page boots every controller without errors', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+
+    const { document, errors, observers, charts } = page;
+    const content = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'content.json'), 'utf8'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(document.querySelectorAll('.project-card').length, content.projects.length);
+    assert.equal(document.querySelectorAll('.skill-category').length, content.skills.length);
+    assert.equal(document.querySelectorAll('.timeline-item').length, content.experience.length);
+    assert.ok(document.querySelector('.project-filters .filter-btn'));
+    assert.ok(document.querySelector('.project-modal'));
+    assert.ok(document.querySelector('.theme-toggle'));
+
+    // Charts are only created once their canvas scrolls into view
+    assert.equal(charts.length, 0);
+    const chartObserver = observers.find(observer => Array.from(observer.targets).some(target => target.matches('canvas[data-chart]')));
+    chartObserver.trigger();
+    assert.equal(charts.length, document.querySelectorAll('canvas[data-chart]').length);
+});
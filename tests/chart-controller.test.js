@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/dom');
+
+test('ChartController', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document, clock, observers, charts, app } = page;
+    const canvas = document.querySelector('canvas[data-chart="project-technologies"]');
+    const latest = () => charts.filter(chart => chart.canvas === canvas).pop();
+
+    // Charts are created once their canvas scrolls into view
+    observers.find(observer => observer.targets.has(canvas)).trigger();
+
+    await t.test('titles section charts from the catalog', async () => {
+        const { options } = latest().config;
+        assert.equal(options.plugins.title.text, 'Technologies used across several projects');
+        assert.equal(options.scales.x.title.text, 'Projects');
+    });
+
+    await t.test('redraws in the new theme colours on theme change', () => {
+        const before = latest();
+        document.documentElement.style.setProperty('--primary-color', '#0891b2');
+        document.dispatchEvent(new page.window.CustomEvent('themechange', { detail: { theme: 'light' } }));
+
+        const chart = latest();
+        assert.notEqual(chart, before);
+        assert.equal(before.destroyed, true);
+        assert.equal(chart.config.data.datasets[0].borderColor, '#0891b2');
+    });
+
+    await t.test('rebuilds in the new language on locale change', async () => {
+        const before = latest();
+        await app.i18n.setLocale('es');
+        await settle(clock);
+
+        const chart = latest();
+        assert.notEqual(chart, before);
+        assert.equal(before.destroyed, true);
+        assert.equal(chart.config.options.plugins.title.text, 'Tecnologías usadas en varios proyectos');
+        assert.equal(chart.config.options.scales.x.title.text, 'Proyectos');
+
+        await app.i18n.setLocale('en');
+    });
+});
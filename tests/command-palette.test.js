@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/dom');
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+test('CommandPalette search and commands', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, clock, app } = page;
+    const scrolls = [];
+    window.scrollTo = (options) => scrolls.push(options);
+
+    const palette = document.querySelector('.command-palette');
+    const input = palette.querySelector('.palette-input');
+    const labels = () => Array.from(palette.querySelectorAll('.palette-option .palette-label')).map(label => label.textContent.trim());
+    const type = (text) => {
+        input.value = text;
+        input.dispatchEvent(new window.Event('input'));
+    };
+
+    await t.test('opens with Ctrl+K and lists actions and sections', () => {
+        const opener = document.querySelector('.theme-toggle');
+        opener.focus();
+
+        const event = press(window, document.body, 'k', { ctrlKey: true });
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(palette.hidden, false);
+        assert.equal(document.activeElement, input);
+        assert.ok(labels().includes('Toggle theme'));
+        assert.ok(labels().includes('Experience'));
+        assert.equal(input.getAttribute('aria-activedescendant'), 'palette-option-0');
+    });
+
+    await t.test('moves through results with the arrow keys', () => {
+        press(window, input, 'ArrowDown');
+        assert.equal(input.getAttribute('aria-activedescendant'), 'palette-option-1');
+        press(window, input, 'ArrowUp');
+        press(window, input, 'ArrowUp');
+        const options = palette.querySelectorAll('.palette-option');
+        assert.equal(input.getAttribute('aria-activedescendant'), `palette-option-${options.length - 1}`);
+    });
+
+    await t.test('closes on Escape and hands focus back', () => {
+        press(window, input, 'Escape');
+        assert.equal(palette.hidden, true);
+        assert.ok(document.activeElement.classList.contains('theme-toggle'));
+    });
+
+    await t.test('fuzzy matches and jumps to a section', () => {
+        press(window, document.body, 'k', { metaKey: true });
+        type('xprnc');
+
+        assert.equal(labels()[0], 'Experience');
+        assert.ok(palette.querySelector('.palette-option mark'));
+
+        press(window, input, 'Enter');
+        assert.equal(palette.hidden, true);
+        assert.equal(window.location.hash, '#experience');
+        assert.equal(document.activeElement, document.getElementById('experience'));
+        assert.equal(scrolls.length, 1);
+    });
+
+    await t.test('opens a project', async () => {
+        const project = app.kernel.get('projectModal').projects.values().next().value;
+        press(window, document.body, 'k', { ctrlKey: true });
+        type(project.title);
+        press(window, input, 'Enter');
+        await settle(clock);
+
+        assert.equal(document.querySelector('.modal-title').textContent, project.title);
+        app.kernel.get('projectModal').requestClose();
+    });
+
+    await t.test('filters projects by tag', () => {
+        const chip = document.querySelector('.filter-btn');
+        press(window, document.body, 'k', { ctrlKey: true });
+        type(`Filter projects by ${chip.dataset.filter}`);
+        press(window, input, 'Enter');
+
+        assert.equal(chip.getAttribute('aria-pressed'), 'true');
+        assert.match(document.querySelector('.filter-status').textContent, /^Showing/);
+        assert.equal(window.location.hash, '#projects');
+    });
+
+    await t.test('jumps to an experience entry hidden by the timeline filter', () => {
+        document.querySelector('[data-timeline-type="internship"]').click();
+        const item = document.querySelector('.timeline-item');
+        assert.equal(item.hidden, true);
+
+        press(window, document.body, 'k', { ctrlKey: true });
+        type('Postdoctoral Appointee');
+        press(window, input, 'Enter');
+
+        assert.equal(item.hidden, false);
+        assert.equal(item.querySelector('.timeline-achievements').hidden, false);
+        assert.equal(document.activeElement, item);
+    });
+
+    await t.test('toggles the theme', () => {
+        const before = app.kernel.get('theme').currentTheme;
+        press(window, document.body, 'k', { ctrlKey: true });
+        type('toggle theme');
+        press(window, input, 'Enter');
+        assert.notEqual(app.kernel.get('theme').currentTheme, before);
+    });
+
+    await t.test('shows a message when nothing matches', () => {
+        press(window, document.body, 'k', { ctrlKey: true });
+        type('zzzzzz');
+        assert.deepEqual(labels(), []);
+        assert.equal(palette.querySelector('.palette-empty').hidden, false);
+        press(window, input, 'Escape');
+    });
+});
+
+test('CommandPalette keyboard shortcuts', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document } = page;
+    const help = document.querySelector('.shortcut-help');
+
+    await t.test('jump to sections with single keys', () => {
+        press(window, document.body, 'p');
+        assert.equal(window.location.hash, '#projects');
+        press(window, document.body, 'c');
+        assert.equal(window.location.hash, '#contact');
+    });
+
+    await t.test('are ignored while typing', () => {
+        const field = document.getElementById('name');
+        const event = press(window, field, 'a');
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(window.location.hash, '#contact');
+    });
+
+    await t.test('are listed by "?"', () => {
+        press(window, document.body, '?', { shiftKey: true });
+        assert.equal(help.hidden, false);
+        assert.match(help.textContent, /Go to Projects/);
+        assert.equal(document.activeElement, help.querySelector('.shortcut-close'));
+
+        press(window, document.activeElement, 'Escape');
+        assert.equal(help.hidden, true);
+    });
+});
+
+test('utils.fuzzyMatch', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+    const { fuzzyMatch } = page.app.utils;
+
+    assert.equal(fuzzyMatch('cpfe', 'Crystal Plasticity'), null);
+    assert.deepEqual([...fuzzyMatch('cp', 'Crystal Plasticity').indices], [0, 8]);
+    assert.ok(fuzzyMatch('fea', 'FEA').score > fuzzyMatch('fea', 'Surface area').score);
+    assert.ok(fuzzyMatch('con', 'Contact').score > fuzzyMatch('con', 'Finite element convergence').score);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('CVBuilder builds a printable CV from the page', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, app } = page;
+    const cv = document.querySelector('.cv-document');
+    const panel = document.querySelector('.cv-panel');
+    const cards = document.querySelectorAll('.project-card[data-project-id]');
+    let printed = 0;
+    window.print = () => {
+        printed++;
+    };
+
+    await t.test('starts with the timeline, numeric skill levels and the first projects', () => {
+        assert.ok(cv.classList.contains('cv-two-column'));
+        assert.equal(cv.querySelector('.cv-header h1').textContent, 'Shahmeer Baweja');
+        // Not yet typed out in the hero
+        assert.notEqual(document.querySelector('.hero-subtitle').textContent, 'Simulation-Driven Engineering');
+        assert.equal(cv.querySelector('.cv-headline').textContent, 'Simulation-Driven Engineering');
+        assert.equal(cv.querySelectorAll('.cv-main .cv-entry-header').length, document.querySelectorAll('.timeline-item').length);
+        assert.equal(cv.querySelector('.cv-date').textContent, 'Jan 2024 – Jan 2026');
+
+        const progress = document.querySelector('.skill-progress');
+        assert.equal(cv.querySelector('.cv-level').textContent, `${progress.dataset.progress}/100`);
+
+        const titles = Array.from(cv.querySelectorAll('.cv-entry > h3'), title => title.textContent);
+        assert.equal(titles.length, 4);
+        assert.equal(titles[0], cards[0].querySelector('.project-title').textContent);
+    });
+
+    await t.test('opens from the hero button with the current choices', () => {
+        const opener = document.querySelector('[data-cv-open]');
+        opener.focus();
+        opener.click();
+
+        assert.equal(panel.hidden, false);
+        assert.ok(document.body.classList.contains('modal-open'));
+        assert.equal(panel.querySelectorAll('input[name="cv-project"]').length, cards.length);
+        assert.equal(panel.querySelectorAll('input[name="cv-project"]:checked').length, 4);
+        assert.equal(panel.querySelector('.cv-selected').textContent, '4 projects selected');
+        assert.equal(document.activeElement, panel.querySelector('input[value="two-column"]'));
+    });
+
+    await t.test('rebuilds as projects and the layout are chosen, and saves the choice', () => {
+        panel.querySelector('[data-cv-select="none"]').click();
+        const last = cards[cards.length - 1].dataset.projectId;
+        const checkbox = panel.querySelector(`input[value="${last}"]`);
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+        const layout = panel.querySelector('input[value="one-column"]');
+        layout.checked = true;
+        layout.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+        assert.equal(panel.querySelector('.cv-selected').textContent, '1 project selected');
+        assert.ok(cv.classList.contains('cv-one-column'));
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('cvOptions')), { layout: 'one-column', projects: [last] });
+    });
+
+    await t.test('prints and hands focus back', () => {
+        panel.querySelector('.cv-print').click();
+
+        assert.equal(printed, 1);
+        assert.equal(panel.hidden, true);
+        assert.equal(document.body.classList.contains('modal-open'), false);
+        assert.ok(document.activeElement.hasAttribute('data-cv-open'));
+    });
+
+    await t.test('is rebuilt before the browser prints', () => {
+        document.querySelector('.timeline-title').textContent = 'Staff Engineer';
+        window.dispatchEvent(new window.Event('beforeprint'));
+        assert.equal(cv.querySelector('.cv-entry h3').textContent, 'Staff Engineer');
+        assert.ok(app.kernel.get('cv'));
+    });
+});
+
+test('CVBuilder takes projects and layout from the URL for headless printing', async (t) => {
+    const page = await createPage({
+        beforeLoad: (window) => window.history.replaceState(null, '', '/?cv-projects=all&cv-layout=one-column')
+    });
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document } = page;
+    const cv = document.querySelector('.cv-document');
+
+    assert.ok(cv.classList.contains('cv-one-column'));
+    assert.equal(cv.querySelectorAll('.cv-section')[2].querySelectorAll('.cv-entry').length, document.querySelectorAll('.project-card').length);
+    assert.equal(window.localStorage.getItem('cvOptions'), null);
+});
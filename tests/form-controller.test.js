@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/dom');
+
+const message = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    subject: 'Analytical engines',
+    message: 'I would like to talk about your simulations.'
+};
+
+// A form posting to /contact, with the mailto fallback optionally removed
+async function createFormPage(route, { mailto = true } = {}) {
+    const page = await createPage({
+        routes: { contact: route },
+        beforeLoad: (window) => {
+            const form = window.document.querySelector('.contact-form');
+            form.dataset.endpoint = '/contact';
+            if (!mailto) delete form.dataset.mailto;
+        }
+    });
+    new page.app.NotificationCenter();
+    const controller = new page.app.FormController();
+    const form = page.document.querySelector('.contact-form');
+    const button = form.querySelector('button[type="submit"]');
+
+    const fill = (values = message) => {
+        Object.entries(values).forEach(([name, value]) => {
+            form.elements[name].value = value;
+            form.elements[name].dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        });
+    };
+
+    const send = async () => {
+        form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await settle(page.clock);
+    };
+
+    const submit = async (values = message) => {
+        fill(values);
+        // Stay clear of the minimum fill time used to catch bots
+        page.clock.tick(controller.minFillTime);
+        await send();
+    };
+
+    return { ...page, controller, form, button, fill, send, submit };
+}
+
+test('FormController submission', async (t) => {
+    await t.test('posts the message and shows the success state', async (st) => {
+        const page = await createFormPage({ status: 200, body: { ok: true } });
+        st.after(() => page.close());
+
+        await page.submit();
+
+        const request = page.window.fetch.calls.find(call => call.url === 'contact');
+        assert.deepEqual(JSON.parse(request.options.body), message);
+        assert.match(page.button.textContent, /Message Sent!/);
+        assert.equal(page.button.disabled, true);
+        assert.equal(page.form.elements.name.value, '');
+
+        const notification = page.document.querySelector('.notification.success');
+        assert.ok(notification);
+        assert.match(notification.textContent, /Message sent successfully!/);
+
+        page.clock.tick(3000);
+        assert.match(page.button.textContent, /Send Message/);
+        assert.equal(page.button.disabled, false);
+    });
+
+    await t.test('shows the error state when the server rejects the message', async (st) => {
+        const page = await createFormPage({ status: 400, body: { ok: false } }, { mailto: false });
+        st.after(() => page.close());
+
+        await page.submit();
+
+        assert.match(page.button.textContent, /Error Occurred/);
+        assert.equal(page.form.elements.name.value, message.name, 'the form keeps what was typed');
+
+        const notification = page.document.querySelector('.notification.error');
+        assert.ok(notification);
+        assert.match(notification.textContent, /Failed to send message/);
+    });
+
+    await t.test('retries server errors, then queues the message', async (st) => {
+        let attempts = 0;
+        const page = await createFormPage(() => {
+            attempts++;
+            return { status: 503, body: {} };
+        });
+        st.after(() => page.close());
+
+        await page.submit();
+        // Backoff of roughly 1s then 2s between the three attempts
+        await page.clock.tickAsync(4000);
+        await settle(page.clock);
+
+        assert.equal(attempts, 3);
+        assert.match(page.button.textContent, /Queued/);
+
+        const queue = JSON.parse(page.window.localStorage.getItem('contactQueue'));
+        assert.equal(queue.length, 1);
+        assert.equal(queue[0].email, message.email);
+    });
+
+    await t.test('stops retrying once destroyed', async (st) => {
+        let attempts = 0;
+        const page = await createFormPage(() => {
+            attempts++;
+            return { status: 503, body: {} };
+        });
+        st.after(() => page.close());
+
+        await page.submit();
+        assert.equal(attempts, 1);
+
+        page.controller.destroy();
+        await page.clock.tickAsync(10000);
+        assert.equal(attempts, 1);
+    });
+
+    await t.test('keeps messages queued while a flush is sending', async (st) => {
+        let attempts = 0;
+        const page = await createFormPage(() => {
+            attempts++;
+            return attempts === 1 ? { status: 503, body: {} } : { status: 200, body: { ok: true } };
+        });
+        st.after(() => page.close());
+
+        const storage = page.window.localStorage;
+        storage.setItem('contactQueue', JSON.stringify([{ ...message, queuedAt: '2026-01-01T00:00:00.000Z' }]));
+        const flushed = page.controller.flushQueue();
+
+        // Queued during the backoff before the flush retries the first message
+        await settle(page.clock);
+        page.controller.enqueue({ ...message, email: 'grace@example.com' });
+        await page.clock.tickAsync(2000);
+        await flushed;
+
+        assert.equal(attempts, 2);
+        const queue = JSON.parse(storage.getItem('contactQueue'));
+        assert.deepEqual(queue.map(entry => entry.email), ['grace@example.com']);
+    });
+
+    await t.test('blocks submission and flags invalid fields', async (st) => {
+        const page = await createFormPage({ status: 200, body: { ok: true } });
+        st.after(() => page.close());
+
+        await page.submit({ ...message, email: 'not-an-email', message: 'short' });
+
+        assert.equal(page.window.fetch.calls.some(call => call.url === 'contact'), false);
+        assert.equal(page.form.elements.email.getAttribute('aria-invalid'), 'true');
+        assert.equal(page.form.elements.message.getAttribute('aria-invalid'), 'true');
+        assert.equal(page.form.elements.name.getAttribute('aria-invalid'), 'false');
+        assert.equal(page.document.activeElement, page.form.elements.email);
+    });
+});
+
+test('FormController spam checks', async (t) => {
+    await t.test('times the fill from the first interaction, asking quick typists to resend', async (st) => {
+        const page = await createFormPage({ status: 200, body: { ok: true } });
+        st.after(() => page.close());
+
+        // Time spent reading the page before typing doesn't count
+        page.clock.tick(60000);
+        page.fill();
+        await page.send();
+
+        assert.equal(page.window.fetch.calls.some(call => call.url === 'contact'), false);
+        assert.equal(page.form.elements.name.value, message.name, 'the form keeps what was typed');
+        assert.doesNotMatch(page.button.textContent, /Message Sent!/);
+
+        const notification = page.document.querySelector('.notification.warning');
+        assert.ok(notification);
+        assert.match(notification.textContent, /That was quick!/);
+
+        page.clock.tick(page.controller.minFillTime);
+        await page.send();
+        assert.ok(page.window.fetch.calls.some(call => call.url === 'contact'));
+    });
+
+    await t.test('silently drops submissions nobody typed into', async (st) => {
+        const page = await createFormPage({ status: 200, body: { ok: true } });
+        st.after(() => page.close());
+
+        Object.entries(message).forEach(([name, value]) => {
+            page.form.elements[name].value = value;
+        });
+        page.clock.tick(page.controller.minFillTime);
+        await page.send();
+
+        assert.equal(page.window.fetch.calls.some(call => call.url === 'contact'), false);
+        assert.match(page.button.textContent, /Message Sent!/);
+    });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+// Every gear pair that doesn't mesh keeps the clearance buildLayout asks for
+function assertClear(trains, module = 4) {
+    const gears = trains.flatMap(train => train.gears.map((gear, index) => ({ gear, train, index })));
+    gears.forEach((a, i) => gears.slice(i + 1).forEach(b => {
+        const meshing = a.train === b.train && Math.abs(a.index - b.index) === 1;
+        if (meshing) return;
+        const distance = Math.hypot(a.gear.x - b.gear.x, a.gear.y - b.gear.y);
+        assert.ok(distance >= a.gear.radius + b.gear.radius + module * 2 + 8, `gears overlap at ${distance.toFixed(1)}px`);
+    }));
+}
+
+test('GearSystem.buildLayout', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { GearSystem } = page.app;
+    const options = { width: 1280, height: 800, trainCount: 4, seed: 42 };
+    const trains = GearSystem.buildLayout(options);
+
+    await t.test('gives the same layout for the same seed', () => {
+        assert.ok(trains.length > 0);
+        assert.deepEqual(GearSystem.buildLayout(options), trains);
+        assert.notDeepEqual(GearSystem.buildLayout({ ...options, seed: 43 }), trains);
+    });
+
+    await t.test('places meshing gears at the sum of their pitch radii', () => {
+        trains.forEach(train => train.gears.slice(1).forEach((gear, i) => {
+            const previous = train.gears[i];
+            assert.equal(gear.radius, 4 * gear.teeth / 2);
+            const distance = Math.hypot(gear.x - previous.x, gear.y - previous.y);
+            assert.ok(Math.abs(distance - (previous.radius + gear.radius)) < 1e-9);
+        }));
+    });
+
+    await t.test('turns meshing gears in opposite directions at the tooth ratio', () => {
+        trains.forEach(train => train.gears.slice(1).forEach((gear, i) => {
+            const previous = train.gears[i];
+            assert.ok(Math.sign(gear.ratio) === -Math.sign(previous.ratio));
+            // Equal tooth passing speed at the mesh
+            assert.ok(Math.abs(gear.ratio * gear.teeth + previous.ratio * previous.teeth) < 1e-9);
+        }));
+    });
+
+    await t.test('keeps centres on the canvas and other gears apart', () => {
+        trains.forEach(train => train.gears.forEach(gear => {
+            assert.ok(gear.x >= 0 && gear.x <= options.width);
+            assert.ok(gear.y >= 0 && gear.y <= options.height);
+        }));
+        assertClear(trains);
+    });
+});
+
+test('GearSystem lays the scene out again when the viewport narrows', async (t) => {
+    const page = await createPage({ width: 1280 });
+    t.after(() => page.close());
+
+    const gears = new page.app.GearSystem();
+
+    page.resize(800);
+    page.clock.tick(150);
+
+    assert.equal(gears.canvas.width, 800);
+    assert.ok(gears.trains.length > 0);
+    assert.deepEqual(gears.gears, gears.trains.flatMap(train => train.gears));
+    gears.trains.forEach(train => train.gears.forEach(gear => {
+        assert.ok(gear.x >= 0 && gear.x <= 800);
+    }));
+    assertClear(gears.trains);
+    gears.destroy();
+});
@@ -0,0 +1,211 @@
+// Loads index.html and script.js into jsdom with fake timers and stubs for the
+// browser APIs and CDN libraries the page expects (IntersectionObserver,
+// matchMedia, canvas, Chart, AOS, fetch). The English catalog is loaded up front.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+
+const root = path.resolve(__dirname, '..', '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+// External scripts (gtag, Chart.js, AOS, script.js itself) are stubbed or evaluated below
+const html = read('index.html').replace(/<script\b[^>]*\bsrc=[^>]*><\/script>/g, '');
+const source = read('script.js');
+
+class IntersectionObserverStub {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        IntersectionObserverStub.instances.push(this);
+    }
+
+    observe(target) { this.targets.add(target); }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); }
+    takeRecords() { return []; }
+
+    // Report targets as intersecting (or not) to the callback
+    trigger(targets = Array.from(this.targets), isIntersecting = true) {
+        this.callback(targets.map(target => ({ target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 })), this);
+    }
+}
+
+class ChartStub {
+    constructor(canvas, config) {
+        this.canvas = canvas;
+        this.config = config;
+        this.destroyed = false;
+        ChartStub.instances.push(this);
+    }
+
+    destroy() { this.destroyed = true; }
+    update() {}
+}
+
+function canvasContextStub() {
+    return new Proxy({}, {
+        get: (target, key) => (key in target ? target[key] : () => ({ addColorStop() {} })),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+// Width queries are evaluated against window.innerWidth; any other media
+// feature (prefers-color-scheme, prefers-reduced-motion) never matches
+function matchMediaStub(window) {
+    const lists = [];
+    const evaluate = query => {
+        const conditions = Array.from(query.matchAll(/\((min|max)-width:\s*(\d+)px\)/g));
+        if (conditions.length === 0) return false;
+        return conditions.every(([, bound, value]) => (
+            bound === 'min' ? window.innerWidth >= Number(value) : window.innerWidth <= Number(value)
+        ));
+    };
+
+    window.matchMedia = query => {
+        const listeners = new Set();
+        const list = {
+            matches: evaluate(query),
+            media: query,
+            listeners,
+            addEventListener(type, listener) { listeners.add(listener); },
+            removeEventListener(type, listener) { listeners.delete(listener); },
+            addListener(listener) { listeners.add(listener); },
+            removeListener(listener) { listeners.delete(listener); },
+
+            // Re-evaluate after a resize and notify listeners if the result changed
+            update() {
+                const matches = evaluate(query);
+                if (matches === list.matches) return;
+                list.matches = matches;
+                listeners.forEach(listener => listener({ matches, media: query }));
+            }
+        };
+        lists.push(list);
+        return list;
+    };
+
+    return lists;
+}
+
+// Responses keyed by URL path; anything else is read from the repository, or 404s
+function fetchStub(routes) {
+    const calls = [];
+
+    const fetch = async (url, options = {}) => {
+        const pathname = decodeURIComponent(new URL(url, 'http://localhost/').pathname).replace(/^\//, '');
+        calls.push({ url: pathname, options });
+
+        if (pathname in routes) {
+            const route = routes[pathname];
+            const result = typeof route === 'function' ? await route(options) : route;
+            return { ok: result.status < 400, status: result.status, json: async () => result.body };
+        }
+
+        const file = path.join(root, pathname);
+        if (!fs.existsSync(file)) return { ok: false, status: 404, json: async () => ({}) };
+
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+    };
+
+    fetch.calls = calls;
+    return fetch;
+}
+
+/**
+ * Build a page. Options:
+ *   routes     fetch responses by path, e.g. { contact: { status: 200, body: {} } }
+ *   width      window.innerWidth, which width media queries are evaluated against
+ *              (GearSystem only runs above 768)
+ *   language   navigator.language, which the UI locale is detected from
+ *   beforeLoad called with the window before script.js is evaluated
+ */
+async function createPage({ routes = {}, width = 1024, language = 'en-US', beforeLoad } = {}) {
+    const errors = [];
+    const warnings = [];
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    // Evaluate script.js only after jsdom's own DOMContentLoaded, so the app
+    // bootstraps when a test calls boot() and not behind its back
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+
+    const clock = FakeTimers.withGlobal(window).install({
+        toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame', 'Date', 'performance']
+    });
+
+    IntersectionObserverStub.instances = [];
+    ChartStub.instances = [];
+    window.IntersectionObserver = IntersectionObserverStub;
+    window.Chart = ChartStub;
+    window.AOS = { init() {}, refresh() {} };
+    const mediaQueries = matchMediaStub(window);
+    window.HTMLCanvasElement.prototype.getContext = canvasContextStub;
+    window.scrollTo = () => {};
+    window.fetch = fetchStub(routes);
+    window.innerWidth = width;
+    window.console.error = (...args) => errors.push(args.join(' '));
+    window.console.warn = (...args) => warnings.push(args.join(' '));
+    Object.defineProperty(window.navigator, 'language', { configurable: true, value: language });
+    Object.defineProperty(window.navigator, 'languages', { configurable: true, value: [language] });
+
+    if (beforeLoad) beforeLoad(window);
+
+    window.eval(source);
+
+    // Components constructed directly by tests need the catalogs the bootstrap loads
+    await window.PortfolioApp.i18n.load();
+    await settle(clock);
+
+    return {
+        window,
+        document: window.document,
+        clock,
+        errors,
+        warnings,
+        observers: IntersectionObserverStub.instances,
+        charts: ChartStub.instances,
+        mediaQueries,
+        app: window.PortfolioApp,
+
+        // Run the DOMContentLoaded bootstrap, including the async content load
+        async boot() {
+            window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+            await settle(clock);
+        },
+
+        // Change the viewport width, as a browser window resize would
+        resize(width) {
+            window.innerWidth = width;
+            mediaQueries.forEach(list => list.update());
+            window.dispatchEvent(new window.Event('resize'));
+        },
+
+        close() {
+            clock.uninstall();
+            window.close();
+        }
+    };
+}
+
+// Let pending promise chains (fetch, json) resolve without advancing the fake clock
+async function settle(clock) {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        await clock.tickAsync(0);
+    }
+}
+
+module.exports = { createPage, settle };
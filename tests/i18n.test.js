@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/dom');
+
+test('I18n picks the browser language and translates the page', async (t) => {
+    const page = await createPage({ language: 'es-MX' });
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document, errors } = page;
+
+    assert.deepEqual(errors, []);
+    assert.equal(document.documentElement.lang, 'es');
+    assert.equal(document.documentElement.dir, 'ltr');
+    assert.equal(document.querySelector('.nav-link[data-section="home"]').textContent, 'Inicio');
+    assert.equal(document.querySelector('.contact-form button[type="submit"] span').textContent, 'Enviar mensaje');
+    assert.equal(document.querySelector('.nav-toggle').getAttribute('aria-label'), 'Mostrar u ocultar el menú');
+    assert.equal(document.querySelector('.filter-search-input').placeholder, 'Buscar proyectos...');
+    assert.equal(document.querySelector('.language-select').value, 'es');
+});
+
+test('LanguageSwitcher changes the locale, direction and dynamic text', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, clock, app } = page;
+    const select = document.querySelector('.language-select');
+    const status = document.querySelector('.filter-status');
+
+    await t.test('lists each locale in its own language', () => {
+        assert.deepEqual(Array.from(select.options).map(option => option.value), ['en', 'es', 'ar']);
+        assert.equal(select.querySelector('[value="es"]').textContent, 'Español');
+        assert.equal(select.getAttribute('aria-label'), 'Language');
+        assert.match(status.textContent, /^\d+ projects$/);
+    });
+
+    await t.test('switches to a right-to-left locale', async () => {
+        select.value = 'ar';
+        select.dispatchEvent(new window.Event('change'));
+        await settle(clock);
+
+        assert.equal(document.documentElement.lang, 'ar');
+        assert.equal(document.documentElement.dir, 'rtl');
+        assert.equal(window.localStorage.getItem('locale'), 'ar');
+        assert.equal(document.querySelector('.nav-link[data-section="contact"]').textContent, 'تواصل');
+        assert.equal(select.getAttribute('aria-label'), 'اللغة');
+        assert.doesNotMatch(status.textContent, /projects/);
+    });
+
+    await t.test('reformats the experience dates', () => {
+        const date = document.querySelector('.timeline-date');
+        assert.equal(date.dataset.i18nRange, 'Jan 2024 - Jan 2026');
+        assert.notEqual(date.textContent, 'Jan 2024 - Jan 2026');
+        assert.match(date.textContent, / – /);
+    });
+
+    await t.test('comes back to English', async () => {
+        await app.i18n.setLocale('en');
+
+        assert.equal(document.documentElement.dir, 'ltr');
+        assert.equal(select.value, 'en');
+        assert.equal(document.querySelector('.nav-link[data-section="contact"]').textContent, 'Contact');
+        assert.equal(document.querySelector('.timeline-date').textContent, 'Jan 2024 – Jan 2026');
+        assert.equal(document.querySelector('.stat-number').textContent, '20+');
+    });
+});
+
+test('I18n lookups and formatting', async (t) => {
+    const page = await createPage({
+        routes: {
+            'locales/es.json': { status: 200, body: { nav: { home: 'Inicio' }, filters: { total: { one: '{count} proyecto', other: '{count} proyectos' } } } },
+            'locales/ar.json': { status: 404, body: {} }
+        }
+    });
+    t.after(() => page.close());
+
+    const { document, app, errors, warnings } = page;
+    const { i18n } = app;
+
+    await t.test('falls back to English for missing keys, warning once', async () => {
+        await i18n.setLocale('es');
+
+        assert.equal(i18n.t('nav.home'), 'Inicio');
+        assert.equal(i18n.t('nav.about'), 'About');
+        assert.equal(document.querySelector('.nav-link[data-section="about"]').textContent, 'About');
+        assert.equal(warnings.filter(warning => warning === 'I18n: missing "nav.about" in es, using en').length, 1);
+        assert.equal(i18n.t('nav.nowhere'), 'nav.nowhere');
+    });
+
+    await t.test('chooses plural forms and formats numbers for the locale', () => {
+        assert.equal(i18n.t('filters.total', { count: 1 }), '1 proyecto');
+        assert.equal(i18n.t('filters.total', { count: 12345 }), '12.345 proyectos');
+        assert.equal(i18n.formatNumber(1234567.5), '1.234.567,5');
+    });
+
+    await t.test('keeps English when a catalog fails to load', async () => {
+        await i18n.setLocale('ar');
+
+        assert.equal(i18n.locale, 'en');
+        assert.equal(i18n.dir, 'ltr');
+        assert.match(errors.join('\n'), /failed to load the ar catalog/);
+        assert.equal(i18n.t('form.notifications.flushed', { count: 2 }), 'Sent 2 queued messages.');
+    });
+
+    await t.test('parses month ranges, ongoing or not', () => {
+        const range = app.utils.parseMonthRange('Jun 2016 - Present');
+        assert.equal(range.start.getFullYear(), 2016);
+        assert.equal(range.start.getMonth(), 5);
+        assert.equal(range.end, null);
+
+        assert.equal(app.utils.parseMonthRange('Summer internship'), null);
+        assert.equal(i18n.formatRange('September 2019 – August 2023'), 'Sep 2019 – Aug 2023');
+        assert.equal(i18n.formatRange('Jun 2016 - Present'), 'Jun 2016 – Present');
+    });
+});
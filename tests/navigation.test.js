@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('Navigation active section', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, app, observers } = page;
+    new app.ScrollService();
+    new app.Navigation();
+
+    // ScrollService's observer whose root is shrunk to the line below the navbar
+    const band = observers.find(observer => observer.options && /^-100px/.test(observer.options.rootMargin));
+    const cross = (id, isIntersecting = true) => band.trigger([document.getElementById(id)], isIntersecting);
+
+    const activeLinks = () => Array.from(document.querySelectorAll('.nav-link.active'))
+        .map(link => link.getAttribute('href'));
+
+    await t.test('is tracked with a one-pixel band 100px below the top', () => {
+        assert.equal(band.options.rootMargin, `-100px 0px -${window.innerHeight - 101}px 0px`);
+        assert.equal(band.targets.size, document.querySelectorAll('section[id]').length);
+    });
+
+    await t.test('keeps a plain URL while at the top', () => {
+        cross('home');
+        assert.deepEqual(activeLinks(), ['#home']);
+        assert.equal(window.location.hash, '');
+    });
+
+    for (const id of ['about', 'skills', 'projects', 'experience', 'contact']) {
+        await t.test(`marks #${id} active when it crosses the band`, () => {
+            cross(id);
+
+            assert.deepEqual(activeLinks(), [`#${id}`]);
+            const current = document.querySelector('.nav-link[aria-current="location"]');
+            assert.equal(current.getAttribute('href'), `#${id}`);
+        });
+    }
+
+    await t.test('mirrors the active section in the URL hash', () => {
+        cross('skills');
+        assert.equal(window.location.hash, '#skills');
+    });
+
+    await t.test('leaves the current link alone once nothing crosses the band', () => {
+        cross('skills', false);
+        assert.deepEqual(activeLinks(), ['#skills']);
+    });
+});
+
+test('Navigation navbar background', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app } = page;
+    const navbar = document.getElementById('navbar');
+    new app.ScrollService();
+    new app.Navigation();
+
+    Object.defineProperty(window, 'scrollY', { configurable: true, value: 51 });
+    window.dispatchEvent(new window.Event('scroll'));
+    assert.equal(navbar.classList.contains('scrolled'), false);
+
+    // Applied on the next animation frame, not in the scroll handler
+    clock.tick(16);
+    assert.equal(navbar.classList.contains('scrolled'), true);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, settle } = require('./helpers/dom');
+
+test('NotificationCenter lifecycle', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app } = page;
+    const center = new app.NotificationCenter();
+    const toasts = () => Array.from(document.querySelectorAll('.notification'));
+
+    await t.test('appears immediately with its message and severity', () => {
+        center.show('Saved', { severity: 'success' });
+
+        const [notification] = toasts();
+        assert.ok(notification.classList.contains('success'));
+        assert.ok(notification.querySelector('.fa-check-circle'));
+        assert.equal(notification.querySelector('.notification-message').textContent, 'Saved');
+    });
+
+    await t.test('slides out after five seconds, then is removed', () => {
+        const [notification] = toasts();
+
+        clock.tick(4999);
+        assert.equal(notification.classList.contains('leaving'), false);
+
+        clock.tick(1);
+        assert.equal(notification.classList.contains('leaving'), true);
+        assert.ok(notification.isConnected);
+
+        clock.tick(300);
+        assert.equal(notification.isConnected, false);
+    });
+
+    await t.test('renders messages as text', () => {
+        center.show('<img src=x onerror="alert(1)">', { severity: 'error' });
+
+        const [notification] = toasts();
+        assert.equal(notification.querySelector('img'), null);
+        assert.match(notification.textContent, /<img src=x/);
+        assert.ok(notification.querySelector('.fa-exclamation-circle'));
+
+        clock.tick(5300);
+        assert.deepEqual(toasts(), []);
+    });
+
+    await t.test('announces errors assertively and everything else politely', () => {
+        const polite = document.querySelector('.notification-region [aria-live="polite"]');
+        const assertive = document.querySelector('.notification-region [aria-live="assertive"]');
+        assert.equal(polite.getAttribute('role'), 'status');
+        assert.equal(assertive.getAttribute('role'), 'alert');
+
+        center.show('Heads up', { severity: 'warning' });
+        center.show('Broken', { severity: 'error' });
+        assert.equal(polite.textContent, 'Heads up');
+        assert.equal(assertive.textContent, 'Broken');
+
+        clock.tick(5300);
+        assert.equal(polite.textContent, '');
+        assert.equal(assertive.textContent, '');
+    });
+
+    await t.test('falls back to info for an unknown severity', () => {
+        center.show('Hello', { severity: 'shout' });
+        assert.ok(toasts()[0].classList.contains('info'));
+        clock.tick(5300);
+    });
+
+    await t.test('stacks up to three and queues the rest', () => {
+        center.show('one', { duration: 1000 });
+        ['two', 'three', 'four'].forEach(message => center.show(message));
+        assert.deepEqual(toasts().map(toast => toast.textContent.trim()), ['one', 'two', 'three']);
+
+        // "four" takes the slot "one" leaves
+        clock.tick(1000 + 300);
+        assert.deepEqual(toasts().map(toast => toast.textContent.trim()), ['two', 'three', 'four']);
+
+        clock.tick(10000);
+        assert.deepEqual(toasts(), []);
+    });
+
+    await t.test('can be dismissed with its button', () => {
+        center.show('Closable', { duration: 0 });
+        toasts()[0].querySelector('.notification-dismiss').click();
+        clock.tick(300);
+        assert.deepEqual(toasts(), []);
+    });
+
+    await t.test('pauses while hovered or focused', () => {
+        center.show('Hold on');
+        const [notification] = toasts();
+
+        clock.tick(4000);
+        notification.dispatchEvent(new window.MouseEvent('mouseenter'));
+        clock.tick(10000);
+        assert.equal(notification.classList.contains('leaving'), false);
+
+        notification.querySelector('.notification-dismiss').focus();
+        notification.dispatchEvent(new window.MouseEvent('mouseleave'));
+        clock.tick(10000);
+        assert.equal(notification.classList.contains('leaving'), false);
+
+        // Resumes with the second that was left
+        notification.querySelector('.notification-dismiss').blur();
+        clock.tick(999);
+        assert.equal(notification.classList.contains('leaving'), false);
+        clock.tick(1);
+        assert.equal(notification.classList.contains('leaving'), true);
+        clock.tick(300);
+    });
+
+    await t.test('runs the action and dismisses, once per key', () => {
+        let reloads = 0;
+        const action = { label: 'Reload', onClick: () => reloads++ };
+        const first = center.show('Update ready', { key: 'update', duration: 0, action });
+        const second = center.show('Update ready', { key: 'update', duration: 0, action });
+        assert.equal(first, second);
+        assert.equal(toasts().length, 1);
+
+        const button = toasts()[0].querySelector('.notification-action');
+        assert.equal(button.textContent, 'Reload');
+        button.click();
+        clock.tick(300);
+
+        assert.equal(reloads, 1);
+        assert.deepEqual(toasts(), []);
+    });
+
+    await t.test('takes posts from any component through the kernel', () => {
+        const component = new app.Component();
+        component.notify('From elsewhere', { severity: 'success' });
+        assert.equal(toasts()[0].querySelector('.notification-message').textContent, 'From elsewhere');
+        clock.tick(5300);
+    });
+});
+
+test('ClipboardController copy buttons', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app } = page;
+    const copied = [];
+    Object.defineProperty(window, 'isSecureContext', { configurable: true, value: true });
+    Object.defineProperty(window.navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: async (text) => copied.push(text) }
+    });
+
+    new app.NotificationCenter();
+    new app.ClipboardController();
+
+    await t.test('copies the email address and confirms it', async () => {
+        document.querySelector('.copy-btn[data-copy]').click();
+        await settle(clock);
+
+        assert.deepEqual(copied, ['s.baweja@outlook.com']);
+        assert.equal(document.querySelector('.notification.success').textContent.trim(), 'Email address copied to clipboard.');
+        clock.tick(3300);
+    });
+
+    await t.test('shows the text when the clipboard is unavailable', async () => {
+        window.navigator.clipboard.writeText = async () => { throw new Error('denied'); };
+        document.execCommand = () => false;
+
+        document.querySelector('.copy-btn[data-copy]').click();
+        await settle(clock);
+
+        const notification = document.querySelector('.notification.warning');
+        assert.match(notification.textContent, /s\.baweja@outlook\.com/);
+    });
+});
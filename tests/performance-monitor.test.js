@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+// Entries are handed to the monitor by calling emit() on the observer for a type
+class PerformanceObserverStub {
+    constructor(callback) {
+        this.callback = callback;
+        this.records = [];
+        PerformanceObserverStub.instances.push(this);
+    }
+
+    observe({ type }) { this.type = type; }
+    disconnect() {}
+    takeRecords() { return this.records.splice(0); }
+    emit(entries) { this.callback({ getEntries: () => entries }); }
+}
+PerformanceObserverStub.supportedEntryTypes = ['largest-contentful-paint', 'resource'];
+
+test('PerformanceMonitor', async (t) => {
+    const logs = [];
+    const events = [];
+    const page = await createPage({
+        beforeLoad: (window) => {
+            PerformanceObserverStub.instances = [];
+            window.PerformanceObserver = PerformanceObserverStub;
+            window.console.log = message => logs.push(message);
+            window.gtag = (...args) => events.push(args);
+            window.document.body.dataset.perfSink = 'console, gtag';
+        }
+    });
+    t.after(() => page.close());
+
+    const { window, app } = page;
+    const monitor = new app.PerformanceMonitor();
+    const observer = type => PerformanceObserverStub.instances.find(instance => instance.type === type);
+
+    await t.test('reports large images to the console only', () => {
+        observer('resource').emit([
+            { name: 'http://localhost/Plane.jpg', encodedBodySize: 900 * 1024, transferSize: 0, duration: 120, requestStart: 10, responseStart: 30, responseEnd: 130, startTime: 5 },
+            { name: 'http://localhost/icon.svg', encodedBodySize: 900 * 1024, duration: 5 },
+            { name: 'http://localhost/thumb.png', encodedBodySize: 20 * 1024, duration: 5 }
+        ]);
+
+        assert.equal(monitor.images.length, 1);
+        assert.equal(monitor.images[0].cached, true);
+        assert.deepEqual(logs, ['[perf] image: 120ms']);
+        assert.deepEqual(events, []);
+    });
+
+    await t.test('sends the final LCP to every sink once the page is hidden', () => {
+        observer('largest-contentful-paint').emit([{ startTime: 1800, url: 'http://localhost/suitme.jpg' }]);
+        observer('largest-contentful-paint').emit([{ startTime: 2600, url: 'http://localhost/suitme.jpg' }]);
+        assert.equal(events.length, 0, 'LCP candidates are held until the page is hidden');
+
+        window.dispatchEvent(new window.Event('pagehide'));
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0].slice(0, 2), ['event', 'LCP']);
+        assert.equal(events[0][2].value, 2600);
+        assert.equal(events[0][2].metric_rating, 'needs-improvement');
+        assert.equal(logs[logs.length - 1], '[perf] LCP: 2600ms (needs-improvement)');
+    });
+});
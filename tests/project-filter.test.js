@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('ProjectFilter', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, clock } = page;
+    const filters = document.querySelector('.project-filters');
+    const cards = Array.from(document.querySelectorAll('.project-card'));
+    const chips = Array.from(filters.querySelectorAll('.filter-btn'));
+    const status = filters.querySelector('.filter-status');
+    const empty = document.querySelector('.projects-empty');
+    const search = filters.querySelector('.filter-search-input');
+
+    const visible = () => cards.filter(card => card.style.display !== 'none');
+    const tagsOf = card => Array.from(card.querySelectorAll('.tech-tag'), tag => tag.textContent.trim());
+    const type = (value) => {
+        search.value = value;
+        search.dispatchEvent(new window.Event('input'));
+        clock.tick(150);
+    };
+
+    // The two most used tags, which appear together on some projects but not all
+    const [first, second] = chips.slice(0, 2).map(chip => chip.dataset.filter);
+    const withFirst = cards.filter(card => tagsOf(card).includes(first));
+    const withSecond = cards.filter(card => tagsOf(card).includes(second));
+    const withEither = cards.filter(card => withFirst.includes(card) || withSecond.includes(card));
+    const withBoth = withFirst.filter(card => withSecond.includes(card));
+
+    await t.test('starts with every project and the total', () => {
+        assert.equal(visible().length, cards.length);
+        assert.equal(status.textContent, `${cards.length} projects`);
+        assert.equal(empty.hidden, true);
+    });
+
+    await t.test('shows projects with any selected tag', () => {
+        chips[0].click();
+        chips[1].click();
+
+        assert.equal(chips[0].getAttribute('aria-pressed'), 'true');
+        assert.deepEqual(visible(), withEither);
+        assert.equal(status.textContent, `Showing ${withEither.length} of ${cards.length} projects`);
+    });
+
+    await t.test('shows only projects with every selected tag in "all" mode', () => {
+        filters.querySelector('[data-mode="all"]').click();
+
+        assert.ok(withBoth.length < withEither.length);
+        assert.deepEqual(visible(), withBoth);
+        assert.equal(filters.querySelector('[data-mode="all"]').getAttribute('aria-pressed'), 'true');
+    });
+
+    await t.test('matches search terms in the title or description, ignoring case', () => {
+        filters.querySelector('.filter-clear').click();
+        const title = cards[0].querySelector('.project-title').textContent;
+        const word = title.split(/\s+/).find(candidate => candidate.length > 4);
+
+        type(word.toUpperCase());
+        assert.ok(visible().includes(cards[0]));
+        assert.ok(visible().every(card => card.textContent.toLowerCase().includes(word.toLowerCase())));
+    });
+
+    await t.test('shows the empty state when nothing matches', () => {
+        type('zzzz-no-such-project');
+
+        assert.equal(visible().length, 0);
+        assert.equal(empty.hidden, false);
+        assert.equal(empty.textContent, 'No projects match the current filters.');
+        assert.equal(status.textContent, `Showing 0 of ${cards.length} projects`);
+    });
+
+    await t.test('clears the search, tags and empty state', () => {
+        chips[0].click();
+        filters.querySelector('.filter-clear').click();
+
+        assert.equal(search.value, '');
+        assert.equal(visible().length, cards.length);
+        assert.equal(empty.hidden, true);
+        assert.ok(chips.every(chip => chip.getAttribute('aria-pressed') === 'false'));
+    });
+});
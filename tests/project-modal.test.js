@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+// jsdom runs history traversal (popstate, hashchange) from a timer
+const traverse = clock => clock.tickAsync(100);
+
+test('ProjectModal', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, clock, errors, app } = page;
+    const modal = document.querySelector('.project-modal');
+    const title = modal.querySelector('.modal-title');
+    const card = document.querySelector('.project-card[data-project-id="surrogate-creep"]');
+    const other = document.querySelector('.project-card[data-project-id="cpfe-magnesium"]');
+
+    await t.test('opens from a card with its details and chart', () => {
+        card.click();
+
+        assert.equal(modal.hidden, false);
+        assert.equal(window.location.hash, '#project/surrogate-creep');
+        assert.equal(title.textContent, card.querySelector('.project-title').textContent);
+        assert.ok(document.body.classList.contains('modal-open'));
+        assert.equal(document.activeElement, modal.querySelector('.modal-dialog'));
+        assert.equal(modal.querySelector('.modal-chart').hidden, false);
+        assert.ok(app.kernel.get('charts').charts.has(modal.querySelector('.modal-chart canvas')));
+
+        clock.tick(16);
+        assert.ok(modal.classList.contains('open'));
+    });
+
+    await t.test('closes through history on Escape, returning focus to the card', async () => {
+        modal.querySelector('.modal-dialog').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        await traverse(clock);
+
+        assert.equal(modal.hidden, true);
+        assert.equal(window.location.hash, '');
+        assert.equal(document.body.classList.contains('modal-open'), false);
+        assert.equal(document.activeElement, card);
+        assert.equal(modal.querySelector('.modal-chart canvas'), null);
+    });
+
+    await t.test('reopens on forward and follows hash links to other projects', async () => {
+        window.history.forward();
+        await traverse(clock);
+        assert.equal(modal.hidden, false);
+        assert.equal(title.textContent, card.querySelector('.project-title').textContent);
+
+        window.location.hash = '#project/cpfe-magnesium';
+        await traverse(clock);
+        assert.equal(title.textContent, other.querySelector('.project-title').textContent);
+        assert.equal(modal.querySelector('.modal-chart').hidden, true);
+    });
+
+    await t.test('closes when the hash no longer names a project', async () => {
+        window.location.hash = '#project/no-such-project';
+        await traverse(clock);
+        assert.equal(modal.hidden, true);
+
+        window.location.hash = '#%E0';
+        await traverse(clock);
+        assert.equal(modal.hidden, true);
+        assert.deepEqual(errors, []);
+    });
+});
+
+test('ProjectModal opens a project linked directly in the URL', async (t) => {
+    const page = await createPage({
+        beforeLoad: window => window.history.replaceState(null, '', '#project/cpfe-magnesium')
+    });
+    t.after(() => page.close());
+
+    await page.boot();
+    const modal = page.document.querySelector('.project-modal');
+    assert.equal(modal.hidden, false);
+    assert.match(modal.querySelector('.modal-title').textContent, /Magnesium/);
+
+    // Closing a modal the page didn't push replaces the entry instead of going back
+    modal.querySelector('.modal-close').click();
+    assert.equal(modal.hidden, true);
+    assert.equal(page.window.location.hash, '');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('ResponsiveImageLoader', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document } = page;
+    const img = document.querySelector('.project-card[data-project-id="surrogate-creep"] .project-image img');
+
+    await t.test('wraps listed images in <picture> with AVIF first, then WebP', () => {
+        const picture = img.parentElement;
+        assert.equal(picture.tagName, 'PICTURE');
+
+        const sources = Array.from(picture.querySelectorAll('source'));
+        assert.deepEqual(sources.map(source => source.type), ['image/avif', 'image/webp']);
+        assert.equal(sources[0].srcset, 'images/surrogate-400.avif 400w, images/surrogate-800.avif 800w, images/surrogate-1200.avif 1200w');
+        assert.match(sources[0].sizes, /560px$/);
+        assert.equal(img.width, 1536);
+        assert.equal(img.loading, 'lazy');
+    });
+
+    await t.test('replaces the sources when enhanced again, instead of adding more', () => {
+        const loader = new page.app.ResponsiveImageLoader();
+        loader.manifest = { 'Kava.png': { width: 800, height: 600, base: 'images/kava', widths: [400], formats: ['webp'], placeholder: '' } };
+        img.setAttribute('src', 'Kava.png');
+        loader.enhance(img);
+
+        const sources = img.parentElement.querySelectorAll('source');
+        assert.equal(sources.length, 1);
+        assert.equal(sources[0].srcset, 'images/kava-400.webp 400w');
+    });
+
+    await t.test('shows the alt text when an image fails to load', () => {
+        img.dispatchEvent(new window.Event('error'));
+
+        const fallback = img.closest('.project-image').querySelector('.image-fallback');
+        assert.ok(fallback);
+        assert.equal(fallback.getAttribute('aria-label'), img.alt);
+        assert.equal(img.hidden, true);
+    });
+});
+
+test('ResponsiveImageLoader without a manifest', async (t) => {
+    const page = await createPage({ routes: { 'images/manifest.json': { status: 404, body: {} } } });
+    t.after(() => page.close());
+
+    await page.boot();
+    const img = page.document.querySelector('.project-image img');
+
+    assert.notEqual(img.parentElement.tagName, 'PICTURE');
+    assert.equal(img.loading, 'lazy');
+    assert.deepEqual(page.errors, []);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+function scrollTo(window, y) {
+    Object.defineProperty(window, 'scrollY', { configurable: true, value: y });
+    window.dispatchEvent(new window.Event('scroll'));
+}
+
+test('ScrollService scroll updates', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app } = page;
+    Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, value: window.innerHeight + 2000 });
+
+    const updates = [];
+    app.kernel.on('scroll:update', ({ y, maxY, progress, direction }) => updates.push({ y, maxY, progress, direction }));
+    new app.ScrollService();
+
+    await t.test('publishes the starting position on the first frame', () => {
+        clock.tick(16);
+        assert.deepEqual(updates, [{ y: 0, maxY: 2000, progress: 0, direction: 0 }]);
+    });
+
+    await t.test('reads the position once per frame however many events fire', () => {
+        updates.length = 0;
+        scrollTo(window, 300);
+        scrollTo(window, 400);
+        scrollTo(window, 500);
+        assert.equal(updates.length, 0);
+
+        clock.tick(16);
+        assert.deepEqual(updates, [{ y: 500, maxY: 2000, progress: 0.25, direction: 1 }]);
+    });
+
+    await t.test('reports the direction of travel', () => {
+        updates.length = 0;
+        scrollTo(window, 200);
+        clock.tick(16);
+        assert.equal(updates[0].direction, -1);
+    });
+
+    await t.test('remeasures the page after a resize', () => {
+        updates.length = 0;
+        Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, value: window.innerHeight + 400 });
+        window.dispatchEvent(new window.Event('resize'));
+        clock.tick(16);
+        assert.deepEqual(updates, [{ y: 200, maxY: 400, progress: 0.5, direction: 0 }]);
+    });
+
+    await t.test('drives the reading progress bar', () => {
+        new app.ReadingProgress();
+        const bar = document.querySelector('.reading-progress');
+        assert.equal(bar.getAttribute('aria-hidden'), 'true');
+
+        scrollTo(window, 400);
+        clock.tick(16);
+        assert.equal(bar.style.transform, 'scaleX(1)');
+    });
+});
+
+test('ScrollService section events', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, clock, app, observers } = page;
+    const events = [];
+    ['section:enter', 'section:leave', 'section:change'].forEach(type => {
+        app.kernel.on(type, ({ id, previous }) => events.push(type === 'section:change' ? `${type} ${id} from ${previous}` : `${type} ${id}`));
+    });
+
+    const scroll = new app.ScrollService();
+    const viewport = observers.find(observer => !observer.options);
+    const band = () => observers.filter(observer => observer.options && /^-100px/.test(observer.options.rootMargin)).pop();
+    const section = id => document.getElementById(id);
+
+    await t.test('announce sections entering and leaving the viewport', () => {
+        viewport.trigger([section('home'), section('about')]);
+        viewport.trigger([section('home')], false);
+        viewport.trigger([section('about')]);
+
+        assert.deepEqual(events, ['section:enter home', 'section:enter about', 'section:leave home']);
+        assert.equal(scroll.isVisible('about'), true);
+        assert.equal(scroll.isVisible('home'), false);
+    });
+
+    await t.test('change once per new section at the navbar line', () => {
+        events.length = 0;
+        band().trigger([section('home')]);
+        band().trigger([section('about')]);
+        band().trigger([section('about')]);
+        band().trigger([section('about')], false);
+
+        assert.deepEqual(events, ['section:change home from null', 'section:change about from home']);
+    });
+
+    await t.test('rebuild the band when the viewport height changes', () => {
+        const previous = band();
+        window.innerHeight = 500;
+        window.dispatchEvent(new window.Event('resize'));
+        clock.tick(16);
+
+        assert.notEqual(band(), previous);
+        assert.equal(previous.targets.size, 0);
+        assert.equal(band().options.rootMargin, '-100px 0px -399px 0px');
+    });
+
+    await t.test('stop once destroyed', () => {
+        const current = band();
+        scroll.destroy();
+
+        assert.equal(current.targets.size, 0);
+        assert.equal(viewport.targets.size, 0);
+    });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('SkillsExplorer sorts, charts and links skills to projects', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { window, document, charts, app } = page;
+    const explorer = app.kernel.get('skills');
+    const skill = name => explorer.skills.find(candidate => candidate.name === name);
+    const category = document.querySelector('.skill-category');
+    const names = element => Array.from(element.querySelectorAll('.skill-name'), name => name.textContent);
+
+    await t.test('counts related projects from the tags', () => {
+        const ansys = skill('ANSYS');
+        assert.equal(ansys.projectIds.length, 1);
+        assert.equal(ansys.element.querySelector('.skill-projects').textContent, '1 project');
+        assert.equal(ansys.element.querySelector('.skill-link').getAttribute('aria-pressed'), 'false');
+
+        // Whole words only: the Abaqus skill matches "Abaqus UMAT", "FEA" comes from content.json tags
+        assert.equal(skill('Abaqus / Abaqus-CAE (UMAT)').projectIds.length, 1);
+        assert.ok(skill('Finite Element Analysis (Linear & Nonlinear)').projectIds.length >= 2);
+        assert.equal(skill('C / C++').projectIds.length, 0);
+        assert.equal(skill('C / C++').element.querySelector('.skill-link'), null);
+        assert.equal(skill('C / C++').element.querySelector('.skill-projects').textContent, '0 projects');
+    });
+
+    await t.test('sorts by proficiency, then by name', () => {
+        const levels = Array.from(category.querySelectorAll('.skill-progress'), bar => Number(bar.dataset.progress));
+        assert.deepEqual(levels, [...levels].sort((a, b) => b - a));
+
+        const select = document.querySelector('.skills-sort-select');
+        select.value = 'name';
+        select.dispatchEvent(new window.Event('change'));
+        assert.deepEqual(names(category), [...names(category)].sort((a, b) => a.localeCompare(b)));
+    });
+
+    await t.test('highlights the projects using a skill', () => {
+        const solidworks = skill('SolidWorks');
+        solidworks.element.querySelector('.skill-link').click();
+
+        const matches = Array.from(document.querySelectorAll('.project-card.skill-match'), card => card.dataset.projectId);
+        assert.deepEqual(matches, solidworks.projectIds);
+        assert.equal(matches.length, 4);
+        assert.ok(document.querySelector('.projects-grid').classList.contains('has-skill-match'));
+        assert.equal(solidworks.element.querySelector('.skill-link').getAttribute('aria-pressed'), 'true');
+        assert.equal(document.querySelector('.skills-status').hidden, false);
+        assert.equal(document.querySelector('.skills-status-text').textContent, '4 projects use SolidWorks');
+    });
+
+    await t.test('shows hidden matches by clearing project filters', () => {
+        app.kernel.get('projectFilter').showTag('LAMMPS');
+        document.querySelector('[data-skills-action="view"]').click();
+
+        assert.equal(document.querySelector('.filter-status').textContent.startsWith('Showing'), false);
+        assert.ok(document.activeElement.classList.contains('skill-match'));
+    });
+
+    await t.test('clears the highlight when the skill is clicked again', () => {
+        skill('SolidWorks').element.querySelector('.skill-link').click();
+        assert.equal(document.querySelectorAll('.project-card.skill-match').length, 0);
+        assert.equal(document.querySelector('.skills-status').hidden, true);
+    });
+
+    await t.test('switches to a radar chart per category', () => {
+        const before = charts.length;
+        document.querySelector('[data-view="radar"]').click();
+
+        const radar = document.querySelector('.skills-radar');
+        const created = charts.slice(before);
+        assert.equal(document.querySelector('.skills-grid').hidden, true);
+        assert.equal(radar.hidden, false);
+        assert.equal(created.length, document.querySelectorAll('.skill-category').length);
+        assert.equal(created[0].config.type, 'radar');
+        assert.equal(created[0].config.options.plugins.title.text, category.querySelector('h3').textContent);
+        assert.deepEqual([...created[0].config.data.labels], [...created[0].config.data.labels].sort((a, b) => a.localeCompare(b)));
+
+        document.querySelector('[data-view="bars"]').click();
+        assert.equal(radar.hidden, true);
+        assert.equal(document.querySelector('.skills-grid').hidden, false);
+    });
+
+    await t.test('draws with the chart controller that is running now', () => {
+        const entry = app.kernel.registry.get('charts');
+        app.kernel.stop(entry);
+        app.kernel.evaluate(entry);
+        const controller = app.kernel.get('charts');
+
+        document.querySelector('[data-view="radar"]').click();
+        const canvases = document.querySelectorAll('.skills-radar canvas');
+        assert.ok(canvases.length > 0);
+        assert.ok(Array.from(canvases).every(canvas => controller.charts.has(canvas)));
+
+        document.querySelector('[data-view="bars"]').click();
+    });
+});
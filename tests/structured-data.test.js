@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createPage } = require('./helpers/dom');
+
+test('StructuredData describes the page for search engines and link previews', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document } = page;
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    const graph = JSON.parse(scripts[0].textContent)['@graph'];
+    const person = graph.find(node => node['@type'] === 'Person');
+    const works = graph.filter(node => node['@type'] === 'CreativeWork');
+
+    await t.test('builds a Person with a role per timeline entry', () => {
+        assert.equal(person.name, 'Shahmeer Baweja');
+        assert.equal(person.email, 'mailto:s.baweja@outlook.com');
+        assert.ok(person.sameAs.some(url => url.startsWith('https://github.com/')));
+
+        const items = document.querySelectorAll('.timeline-item');
+        assert.equal(person.worksFor.length, items.length);
+        assert.equal(person.worksFor[0]['@type'], 'OrganizationRole');
+        assert.equal(person.worksFor[0].startDate, '2024-01');
+        assert.equal(person.worksFor[0].worksFor.name, items[0].querySelector('.timeline-company').textContent.trim());
+    });
+
+    await t.test('adds a CreativeWork per project card', () => {
+        const cards = document.querySelectorAll('.project-card[data-project-id]');
+        assert.equal(works.length, cards.length);
+        assert.equal(works[0].name, cards[0].querySelector('.project-title').textContent.trim());
+        assert.equal(works[0].creator['@id'], person['@id']);
+        assert.match(works[0].image, /^https:\/\//);
+    });
+
+    await t.test('updates the prerendered tags instead of adding more', () => {
+        assert.equal(scripts.length, 1);
+        assert.equal(document.querySelectorAll('meta[property="og:title"]').length, 1);
+        assert.equal(document.querySelector('meta[property="og:title"]').content, document.title);
+        assert.equal(document.querySelector('meta[name="twitter:card"]').content, 'summary');
+    });
+});
+
+test('index.html carries up-to-date prerendered metadata', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'tools', 'prerender-seo.js'), '--check'], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('ThemeController toggle', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    const { window, document, app } = page;
+    const root = document.documentElement;
+    const themes = [];
+    document.addEventListener('themechange', event => themes.push(event.detail.theme));
+
+    new app.ThemeController();
+    const toggle = document.querySelector('.theme-toggle');
+
+    await t.test('follows the system (dark here) with nothing stored', () => {
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.equal(toggle.getAttribute('aria-label'), 'System theme (switch to dark theme)');
+        assert.ok(toggle.querySelector('.fa-desktop'));
+    });
+
+    await t.test('cycles dark, light and system, storing each choice', () => {
+        themes.length = 0;
+        toggle.click();
+        assert.equal(window.localStorage.getItem('theme'), 'dark');
+        assert.equal(toggle.getAttribute('aria-label'), 'Dark theme (switch to light theme)');
+        // Already dark, so nothing needs redrawing
+        assert.deepEqual(themes, []);
+
+        toggle.click();
+        assert.equal(window.localStorage.getItem('theme'), 'light');
+        assert.equal(root.getAttribute('data-theme'), 'light');
+        assert.deepEqual(themes, ['light']);
+
+        toggle.click();
+        assert.equal(window.localStorage.getItem('theme'), 'system');
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.deepEqual(themes, ['light', 'dark']);
+    });
+});
+
+test('ThemeController reads the stored theme', async (t) => {
+    await t.test('restores a stored choice', async (st) => {
+        const page = await createPage({ beforeLoad: window => window.localStorage.setItem('theme', 'light') });
+        st.after(() => page.close());
+
+        const theme = new page.app.ThemeController();
+        assert.equal(theme.currentTheme, 'light');
+        assert.equal(page.document.documentElement.getAttribute('data-theme'), 'light');
+    });
+
+    await t.test('falls back to the system theme for an unknown value', async (st) => {
+        const page = await createPage({ beforeLoad: window => window.localStorage.setItem('theme', 'sepia') });
+        st.after(() => page.close());
+
+        const theme = new page.app.ThemeController();
+        assert.equal(theme.currentTheme, 'system');
+        assert.equal(page.document.documentElement.getAttribute('data-theme'), 'dark');
+    });
+});
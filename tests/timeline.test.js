@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+test('TimelineController draws the experience axis and filters entries', async (t) => {
+    const page = await createPage();
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document, app } = page;
+    const items = Array.from(document.querySelectorAll('.timeline-item'));
+    const bars = () => Array.from(document.querySelectorAll('.timeline-bar'));
+    const total = () => document.querySelector('.timeline-total').textContent;
+
+    await t.test('feeds whole years of experience to the hero stat', () => {
+        const stat = document.querySelector('.stat-number[data-stat="experience"]');
+        // 25 + 49 + 3 months, none overlapping
+        assert.equal(stat.dataset.i18nNumber, '6');
+        assert.equal(stat.textContent, '6+');
+        assert.equal(total(), '6 yrs 5 mths in total');
+    });
+
+    await t.test('draws a bar per entry, proportional to its length, and the gaps between them', () => {
+        assert.equal(bars().length, items.length);
+        const [argonne, houston] = bars();
+        assert.equal(argonne.dataset.type, 'research');
+        assert.equal(argonne.style.getPropertyValue('--lane').trim(), '0');
+        assert.ok(parseFloat(houston.style.getPropertyValue('--span')) > parseFloat(argonne.style.getPropertyValue('--span')));
+        assert.match(argonne.getAttribute('aria-label'), /^Postdoctoral Appointee, Argonne .*: Jan 2024 – Jan 2026 \(2 yrs 1 mth\)$/);
+
+        const gaps = Array.from(document.querySelectorAll('.timeline-gap'), gap => gap.textContent.trim());
+        assert.deepEqual(gaps, ['2 yrs 11 mths gap', '4 mths gap']);
+        assert.deepEqual(Array.from(document.querySelectorAll('.timeline-ticks span'), tick => tick.textContent).slice(0, 2), ['2017', '2018']);
+    });
+
+    await t.test('collapses achievements behind a toggle', () => {
+        const toggle = items[0].querySelector('.timeline-toggle');
+        const achievements = items[0].querySelector('.timeline-achievements');
+        assert.equal(achievements.hidden, true);
+        assert.equal(toggle.getAttribute('aria-controls'), achievements.id);
+        assert.equal(toggle.textContent, 'Show 5 achievements');
+
+        toggle.click();
+        assert.equal(achievements.hidden, false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(toggle.textContent, 'Hide achievements');
+
+        const expandAll = document.querySelector('[data-timeline-action="expand"]');
+        expandAll.click();
+        assert.ok(items.every(item => !item.querySelector('.timeline-achievements').hidden));
+        assert.equal(expandAll.textContent, 'Collapse all');
+        expandAll.click();
+        assert.ok(items.every(item => item.querySelector('.timeline-achievements').hidden));
+    });
+
+    await t.test('filters by type', () => {
+        const buttons = Array.from(document.querySelectorAll('[data-timeline-type]'), button => button.dataset.timelineType);
+        assert.deepEqual(buttons, ['all', 'research', 'internship']);
+
+        document.querySelector('[data-timeline-type="internship"]').click();
+        assert.deepEqual(items.map(item => item.hidden), [true, true, false]);
+        assert.equal(bars().filter(bar => bar.classList.contains('is-filtered')).length, 2);
+        assert.equal(document.querySelectorAll('.timeline-gap').length, 0);
+        assert.equal(total(), '3 mths in total');
+        assert.equal(document.querySelector('.stat-number[data-stat="experience"]').textContent, '6+');
+    });
+
+    await t.test('jumps to an entry from its bar', () => {
+        bars()[0].click();
+        assert.ok(items.every(item => !item.hidden));
+        assert.equal(items[0].querySelector('.timeline-achievements').hidden, false);
+        assert.equal(document.activeElement, items[0]);
+        assert.equal(app.kernel.get('timeline').filter, 'all');
+    });
+});
+
+test('TimelineController counts overlapping and ongoing roles once', async (t) => {
+    const page = await createPage({
+        routes: {
+            'content.json': {
+                status: 200,
+                body: {
+                    experience: [
+                        { title: 'Research Scientist', company: 'Lab', date: 'Jun 2021 - Present', description: 'Current role.' },
+                        { title: 'Design Engineer', company: 'Works', date: 'Jan 2020 - Dec 2021', description: 'Earlier role.', type: 'industry' }
+                    ]
+                }
+            }
+        }
+    });
+    t.after(() => page.close());
+
+    page.clock.setSystemTime(new Date(2023, 5, 15));
+    await page.boot();
+    const { document } = page;
+    const [current, earlier] = document.querySelectorAll('.timeline-bar');
+
+    // Jan 2020 through Jun 2023
+    assert.equal(document.querySelector('.stat-number[data-stat="experience"]').textContent, '3+');
+    assert.equal(document.querySelector('.timeline-total').textContent, '3 yrs 6 mths in total');
+    assert.equal(current.dataset.type, 'research');
+    assert.equal(earlier.style.getPropertyValue('--lane').trim(), '0');
+    assert.equal(current.style.getPropertyValue('--lane').trim(), '1');
+    assert.equal(document.querySelectorAll('.timeline-gap').length, 0);
+});
+
+test('TimelineController keeps the static stat when content fails to load', async (t) => {
+    const page = await createPage({ routes: { 'content.json': { status: 500, body: {} } } });
+    t.after(() => page.close());
+
+    await page.boot();
+    const { document } = page;
+
+    assert.equal(document.querySelector('.stat-number[data-stat="experience"]').textContent, '6+');
+    assert.equal(document.querySelector('.timeline-controls'), null);
+});
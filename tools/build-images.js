@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// Responsive image build step.
+//
+// Finds every image referenced by content.json (project images and galleries)
+// and index.html, then writes resized AVIF and WebP variants plus a tiny blurred
+// placeholder for each into images/. images/manifest.json describes the
+// variants; ResponsiveImageLoader in script.js reads it at runtime and falls
+// back to the original files when it is absent. Rerun after adding or replacing
+// an image, and bump CACHE_VERSION in sw.js. The output in images/ is committed:
+// the site is served straight from the repository, so there is no deploy-time
+// build. sw.js precaches only the manifest and caches variants as they load.
+//
+// Requires sharp, which is not a dependency of the site itself:
+//   npm install --no-save sharp
+//   npm run build-images
+//
+// Usage: node tools/build-images.js [--widths 400,800,1200] [--quality 60] [--force]
+//   --widths   target widths in pixels; widths above the source width are skipped
+//   --quality  AVIF/WebP quality (default 60)
+//   --force    rebuild variants even when they are newer than their source
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const widths = option('widths', '400,800,1200').split(',').map(Number).filter(Boolean).sort((a, b) => a - b);
+const quality = Number(option('quality', 60));
+const force = args.includes('--force');
+const root = path.resolve(__dirname, '..');
+const outDir = path.join(root, 'images');
+const formats = ['avif', 'webp'];
+const placeholderWidth = 16;
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('build-images needs the sharp package: npm install --no-save sharp');
+    process.exit(1);
+}
+
+// Image paths referenced by the site, relative to the repository root
+function collectSources() {
+    const sources = new Set();
+    const content = JSON.parse(fs.readFileSync(path.join(root, 'content.json'), 'utf8'));
+
+    (content.projects || []).forEach(project => {
+        if (project.image) sources.add(project.image);
+        (project.gallery || []).forEach(image => sources.add(image.src));
+    });
+
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    for (const match of html.matchAll(/<img[^>]+src="([^"]+)"/g)) {
+        sources.add(match[1]);
+    }
+
+    return Array.from(sources).filter(src => /\.(png|jpe?g)$/i.test(src) && !/^[a-z]+:/i.test(src));
+}
+
+function slugify(src) {
+    return path.basename(src, path.extname(src))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+function isFresh(output, sourceTime) {
+    return !force && fs.existsSync(output) && fs.statSync(output).mtimeMs >= sourceTime;
+}
+
+async function buildImage(src) {
+    const input = path.join(root, src);
+    const sourceTime = fs.statSync(input).mtimeMs;
+    const { width, height } = await sharp(input).metadata();
+    const slug = slugify(src);
+
+    // Never upscale: widths past the source are replaced by the source width
+    const targets = widths.filter(target => target < width);
+    if (targets.length < widths.length) targets.push(width);
+
+    for (const target of targets) {
+        for (const format of formats) {
+            const output = path.join(outDir, `${slug}-${target}.${format}`);
+            if (isFresh(output, sourceTime)) continue;
+
+            await sharp(input)
+                .resize({ width: target })
+                [format]({ quality })
+                .toFile(output);
+        }
+    }
+
+    const placeholder = await sharp(input)
+        .resize({ width: placeholderWidth })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        base: `images/${slug}`,
+        widths: targets,
+        formats,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+    };
+}
+
+async function main() {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const manifest = {};
+    const missing = [];
+    let inputBytes = 0;
+
+    for (const src of collectSources()) {
+        const input = path.join(root, src);
+        if (!fs.existsSync(input)) {
+            missing.push(src);
+            continue;
+        }
+
+        inputBytes += fs.statSync(input).size;
+        manifest[src] = await buildImage(src);
+        console.log(`${src}: ${manifest[src].widths.join(', ')}px`);
+    }
+
+    fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 4) + '\n');
+
+    const outputBytes = fs.readdirSync(outDir)
+        .filter(file => file.endsWith('.webp'))
+        .reduce((total, file) => total + fs.statSync(path.join(outDir, file)).size, 0);
+    console.log(`\n${Object.keys(manifest).length} images, ${(inputBytes / 1e6).toFixed(1)} MB of originals -> ${(outputBytes / 1e6).toFixed(1)} MB of WebP variants`);
+
+    // Missing files still render (with a fallback), so warn rather than fail
+    missing.forEach(src => console.warn(`warning: ${src} is referenced but missing`));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// Broken asset and link checker.
+//
+// Scans index.html, styles.css, script.js, sw.js and content.json for local
+// references (src, href, srcset, url() and file paths in string literals) and
+// verifies each target exists with exactly that name, so a case mismatch that
+// works on macOS but 404s on GitHub Pages is caught too. In-page #anchors must
+// point at an element id; those in the navbar and footer must point at a
+// section[id]. External links are listed separately and only requested with
+// --online. Exits with status 1 when anything is broken, so it can gate a deploy.
+//
+// Usage: node tools/check-links.js [--online] [--timeout 8000]
+//   --online   also request every external link (HEAD, falling back to GET)
+//   --timeout  per-request timeout in milliseconds for --online (default 8000)
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const online = args.includes('--online');
+const timeout = Number(option('timeout', 8000));
+const root = path.resolve(__dirname, '..');
+
+// Generated by tools/build-images.js; the site works without it
+const optionalFiles = new Set(['images/manifest.json']);
+
+const fileExtensions = /\.(html|css|js|json|webmanifest|png|jpe?g|gif|svg|webp|avif|ico|pdf)$/i;
+
+const failures = new Set();
+const external = new Map();
+let checkedCount = 0;
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function fail(file, line, message) {
+    failures.add(`${file}:${line}  ${message}`);
+}
+
+// Walk the path one segment at a time, comparing exact directory entries
+function resolveExact(relativePath) {
+    const segments = relativePath.split('/').filter(segment => segment && segment !== '.');
+    let current = root;
+
+    for (const segment of segments) {
+        if (segment === '..') {
+            current = path.dirname(current);
+            continue;
+        }
+
+        let entries;
+        try {
+            entries = fs.readdirSync(current);
+        } catch (error) {
+            return { exists: false };
+        }
+
+        if (!entries.includes(segment)) {
+            const caseMatch = entries.find(entry => entry.toLowerCase() === segment.toLowerCase());
+            return { exists: false, caseMatch: caseMatch && path.relative(root, path.join(current, caseMatch)) };
+        }
+        current = path.join(current, segment);
+    }
+
+    return { exists: true };
+}
+
+// Local targets must exist; external links are collected for the report
+function checkReference(file, line, reference, { anchors } = {}) {
+    const value = reference.trim();
+    if (!value || /^(data|javascript|blob):/i.test(value)) return;
+
+    if (/^(https?:)?\/\//i.test(value) || /^(mailto|tel):/i.test(value)) {
+        if (!external.has(value)) external.set(value, `${file}:${line}`);
+        return;
+    }
+
+    if (value.startsWith('#')) {
+        if (anchors) anchors(value, line);
+        return;
+    }
+
+    const [withoutHash] = value.split('#');
+    const [pathname] = withoutHash.split('?');
+    if (!pathname) return;
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        fail(file, line, `malformed URL "${value}"`);
+        return;
+    }
+
+    const relativePath = decoded.replace(/^\//, '') || 'index.html';
+    checkedCount++;
+
+    const target = relativePath.endsWith('/') ? `${relativePath}index.html` : relativePath;
+    const result = resolveExact(target);
+    if (result.exists || optionalFiles.has(target)) return;
+
+    if (result.caseMatch) {
+        fail(file, line, `"${value}" differs in case from "${result.caseMatch}"`);
+    } else {
+        fail(file, line, `"${value}" does not exist`);
+    }
+}
+
+function checkHTML(file) {
+    // Blank out comments so commented-out markup is ignored but line numbers hold
+    const html = fs.readFileSync(path.join(root, file), 'utf8')
+        .replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+
+    const ids = new Set();
+    const sectionIds = new Set();
+    for (const match of html.matchAll(/<([a-z][\w-]*)\b[^>]*\sid="([^"]+)"/gi)) {
+        ids.add(match[2]);
+        if (match[1].toLowerCase() === 'section') sectionIds.add(match[2]);
+    }
+
+    // Character ranges of the navbar and footer, whose anchors must target sections
+    const landmarks = [];
+    for (const tag of ['nav', 'footer']) {
+        for (const match of html.matchAll(new RegExp(`<${tag}\\b`, 'gi'))) {
+            const end = html.indexOf(`</${tag}>`, match.index);
+            landmarks.push([match.index, end === -1 ? html.length : end]);
+        }
+    }
+    const inLandmark = index => landmarks.some(([start, end]) => index >= start && index <= end);
+
+    for (const tag of html.matchAll(/<([a-z][\w-]*)\b([^>]*)>/gi)) {
+        const line = lineOf(html, tag.index);
+        const attributes = {};
+        for (const attribute of tag[2].matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[attribute[1].toLowerCase()] = attribute[2] !== undefined ? attribute[2] : attribute[3];
+        }
+
+        const anchors = (hash) => {
+            let id;
+            try {
+                id = decodeURIComponent(hash.slice(1));
+            } catch (error) {
+                fail(file, line, `malformed URL "${hash}"`);
+                return;
+            }
+            if (!id) return;
+            if (inLandmark(tag.index)) {
+                if (!sectionIds.has(id)) fail(file, line, `"${hash}" in the navbar or footer has no matching section[id]`);
+            } else if (!ids.has(id)) {
+                fail(file, line, `"${hash}" has no matching id`);
+            }
+        };
+
+        ['src', 'href', 'poster', 'action'].forEach(name => {
+            if (attributes[name] !== undefined) checkReference(file, line, attributes[name], { anchors });
+        });
+        if (attributes.srcset) {
+            attributes.srcset.split(',').forEach(candidate => {
+                checkReference(file, line, candidate.trim().split(/\s+/)[0]);
+            });
+        }
+    }
+}
+
+function checkCSS(file) {
+    const css = fs.readFileSync(path.join(root, file), 'utf8');
+
+    for (const match of css.matchAll(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/g)) {
+        const value = match[1] ?? match[2] ?? match[3];
+        checkReference(file, lineOf(css, match.index), value);
+    }
+}
+
+// File paths in JS string literals, e.g. register('sw.js') or the precache list
+function checkJS(file) {
+    const js = fs.readFileSync(path.join(root, file), 'utf8');
+
+    for (const match of js.matchAll(/(['"`])((?:(?!\1)[^\\\n])+)\1/g)) {
+        const value = match[2];
+        if (value.includes('${') || /\s{2,}|[<>]/.test(value)) continue;
+        if (!fileExtensions.test(value.split(/[?#]/)[0])) continue;
+
+        checkReference(file, lineOf(js, match.index), value);
+    }
+}
+
+function checkContent(file) {
+    const text = fs.readFileSync(path.join(root, file), 'utf8');
+    const content = JSON.parse(text);
+    const line = value => lineOf(text, text.indexOf(JSON.stringify(value)));
+
+    (content.projects || []).forEach(project => {
+        if (project.image) checkReference(file, line(project.image), project.image);
+        (project.gallery || []).forEach(image => checkReference(file, line(image.src), image.src));
+    });
+}
+
+async function checkExternal(url) {
+    for (const method of ['HEAD', 'GET']) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(url, { method, redirect: 'follow', signal: controller.signal });
+            // Some hosts reject HEAD; retry those with GET
+            if (method === 'HEAD' && (response.status === 405 || response.status === 403)) continue;
+            return response.ok ? null : `HTTP ${response.status}`;
+        } catch (error) {
+            return error.name === 'AbortError' ? 'timed out' : error.message;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    return null;
+}
+
+async function main() {
+    checkHTML('index.html');
+    checkCSS('styles.css');
+    checkJS('script.js');
+    checkJS('sw.js');
+    checkContent('content.json');
+
+    console.log(`Checked ${checkedCount} local references.`);
+
+    if (external.size > 0) {
+        console.log(`\nExternal links (${external.size})${online ? '' : ', not requested (pass --online to check)'}:`);
+        for (const [url, location] of external) {
+            const requested = online && /^https?:/i.test(url);
+            const problem = requested ? await checkExternal(url) : null;
+            console.log(`  ${problem ? 'FAIL' : requested ? 'ok  ' : '-   '} ${url}  (${location})${problem ? `  ${problem}` : ''}`);
+            if (problem) failures.add(`${location}  ${url}: ${problem}`);
+        }
+    }
+
+    if (failures.size > 0) {
+        console.error(`\n${failures.size} broken reference${failures.size === 1 ? '' : 's'}:`);
+        failures.forEach(failure => console.error(`  ${failure}`));
+        process.exit(1);
+    }
+
+    console.log('\nNo broken references.');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Local stub for the contact form backend.
+//
+// Serves the site from the repository root and accepts POSTs on /contact,
+// logging each message instead of delivering it. Point the form at it with
+// data-endpoint="/contact" (or the full URL when the site is served elsewhere).
+//
+// Usage: node tools/contact-stub-server.js [--port 8787] [--fail-first N] [--status 503]
+//   --fail-first N  answer the first N submissions with --status (exercise retry/backoff)
+//   --status CODE   status code used for simulated failures (default 503)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', 8787));
+let failuresLeft = Number(option('fail-first', 0));
+const failStatus = Number(option('status', 503));
+const root = path.resolve(__dirname, '..');
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf'
+};
+
+function parseBody(contentType, raw) {
+    if (contentType.includes('application/json')) {
+        return JSON.parse(raw);
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+    throw new Error(`Unsupported content type: ${contentType}`);
+}
+
+function handleContact(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`[contact] simulated ${failStatus} (${failuresLeft} failures left)`);
+            res.writeHead(failStatus, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false }));
+            return;
+        }
+
+        let message;
+        try {
+            message = parseBody(req.headers['content-type'] || '', raw);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: error.message }));
+            return;
+        }
+
+        const missing = ['name', 'email', 'subject', 'message'].filter(field => !message[field]);
+        if (missing.length > 0) {
+            res.writeHead(422, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: `Missing fields: ${missing.join(', ')}` }));
+            return;
+        }
+
+        console.log('[contact] received:', message);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed percent-encoding such as /%E0
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(root, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(root)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+    } else if (req.method === 'POST' && req.url.split('?')[0] === '/contact') {
+        handleContact(req, res);
+    } else if (req.method === 'GET') {
+        serveStatic(req, res);
+    } else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Contact stub listening on http://localhost:${port} (POST /contact)`);
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Structured data prerender step.
+//
+// Loads index.html and script.js into jsdom, renders content.json the way the
+// site does, then runs StructuredData to build the JSON-LD and Open Graph /
+// Twitter meta tags and writes them into index.html between the "generated
+// metadata" comments, so crawlers that don't run JavaScript still see them.
+// Rerun after changing content.json, the page title or description, or the
+// contact links, and bump CACHE_VERSION in sw.js.
+//
+// Uses jsdom from the devDependencies: npm install
+//
+// Usage: node tools/prerender-seo.js [--check]
+//   --check  write nothing; exit with status 1 if index.html is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const root = path.resolve(__dirname, '..');
+const indexPath = path.join(root, 'index.html');
+
+const startMarker = '<!-- Open Graph, Twitter and JSON-LD metadata: generated by tools/prerender-seo.js -->';
+const endMarker = '<!-- /generated metadata -->';
+const indent = '    ';
+
+// Serve local files to the page's fetch() calls, as the site's host would
+function fetchFromDisk(url) {
+    const pathname = decodeURIComponent(new URL(url, 'http://localhost/').pathname).replace(/^\//, '');
+    const file = path.join(root, pathname);
+    if (!fs.existsSync(file)) return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+
+    const body = fs.readFileSync(file, 'utf8');
+    return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(body) });
+}
+
+async function render(html) {
+    // External and app scripts are left out; script.js is evaluated below
+    const dom = new JSDOM(html.replace(/<script\b[^>]*\bsrc=[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+
+    window.fetch = fetchFromDisk;
+    window.eval(fs.readFileSync(path.join(root, 'script.js'), 'utf8'));
+
+    const app = window.PortfolioApp;
+    await new app.ContentLoader().load();
+    const structuredData = new app.StructuredData();
+
+    const tags = structuredData.elements.map(element => {
+        // Pretty-printed JSON is indented to sit inside <head>
+        if (element.tagName === 'SCRIPT') {
+            const json = element.textContent.split('\n').join(`\n${indent}`);
+            return `<script type="application/ld+json" id="${element.id}">\n${indent}${json}\n${indent}</script>`;
+        }
+        return element.outerHTML;
+    });
+
+    window.close();
+    return tags;
+}
+
+async function main() {
+    const html = fs.readFileSync(indexPath, 'utf8');
+    const start = html.indexOf(startMarker);
+    const end = html.indexOf(endMarker);
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error(`index.html needs the markers\n  ${startMarker}\n  ${endMarker}`);
+    }
+
+    // Render from a copy without the old block, so stale tags are never read back
+    const stripped = html.slice(0, start + startMarker.length) + html.slice(end);
+    const tags = await render(stripped);
+    const block = `${startMarker}\n${tags.map(tag => `${indent}${tag}`).join('\n')}\n${indent}${endMarker}`;
+    const output = html.slice(0, start) + block + html.slice(end + endMarker.length);
+
+    if (output === html) {
+        console.log('index.html metadata is up to date.');
+        return;
+    }
+
+    if (check) {
+        console.error('index.html metadata is out of date; run node tools/prerender-seo.js');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(indexPath, output);
+    console.log(`Wrote ${tags.length} metadata tags to index.html.`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});